@@ -0,0 +1,170 @@
+// Client API keys and per-key quotas.
+//
+// Keys look like rw_<keyId>_<secret>. Only an HMAC-SHA256 of the secret is
+// stored (API_KEY_PEPPER is the HMAC key; changing it invalidates every key),
+// in the 'api-keys' collection keyed by keyId. Rotating a key issues a new one
+// for the same client and keeps the old one working for a grace period;
+// revoking is immediate.
+//
+// Quotas are fixed windows per key and route class: a per-minute limit and a
+// daily cap (UTC day). Counters live in the response cache store, so instances
+// sharing CACHE_URL share them.
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { VersionedCollection } from './storage.js';
+
+// Path prefixes per route class; paths outside every class carry no quota
+export const ROUTE_CLASSES = {
+  search: ['/places', '/place-details', '/place-photo', '/autocomplete', '/geocode', '/route', '/navigate-trip',
+    '/api/route', '/api/places', '/api/hazards'],
+  ai: ['/think', '/ai-recommendations', '/voice-to-intent', '/plan-trip', '/api/plan', '/planner'],
+  weather: ['/weather', '/weather-suitability', '/weather-compare', '/route-weather', '/smart-notifications']
+};
+
+export const DEFAULT_QUOTAS = {
+  search: { perMinute: 60, perDay: 5000 },
+  ai: { perMinute: 10, perDay: 500 },
+  weather: { perMinute: 60, perDay: 5000 }
+};
+
+const KEY_PATTERN = /^rw_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const ROTATION_GRACE = 86400; // seconds the previous key keeps working after a rotation
+
+// Express matches routes case-insensitively, so classify the lowercased path
+// ("/Think" is still an ai route)
+export function routeClass(path) {
+  const lower = String(path).toLowerCase();
+  for (const [name, prefixes] of Object.entries(ROUTE_CLASSES)) {
+    if (prefixes.some(p => lower === p || lower.startsWith(`${p}/`))) return name;
+  }
+  return null;
+}
+
+// Key from `x-api-key` or `Authorization: Bearer <key>`
+export function keyFromRequest(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Constant-time comparison of a presented token (e.g. x-admin-token) with the configured one
+export function tokenMatches(presented, expected) {
+  const digest = (t) => createHash('sha256').update(String(t)).digest();
+  return Boolean(expected) && timingSafeEqual(digest(presented || ''), digest(expected));
+}
+
+// Per-key quota overrides: { [routeClass]: { perMinute?, perDay? } } with positive integers
+export function validQuotas(quotas) {
+  return Boolean(quotas) && typeof quotas === 'object' && !Array.isArray(quotas) &&
+    Object.entries(quotas).every(([name, limits]) => name in DEFAULT_QUOTAS &&
+      Boolean(limits) && typeof limits === 'object' &&
+      Object.entries(limits).every(([k, v]) => ['perMinute', 'perDay'].includes(k) && Number.isInteger(v) && v > 0));
+}
+
+function keyStatus(record, now = Date.now()) {
+  if (record.revokedAt) return 'revoked';
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+  return record.expiresAt ? 'rotating' : 'active';
+}
+
+// A stored record without its hash, as the admin API returns it
+const publicRecord = ({ hash, schemaVersion, ...record }) => ({ ...record, status: keyStatus(record) });
+
+export function createApiKeys(store, { pepper = '', defaultQuotas = DEFAULT_QUOTAS } = {}) {
+  const keys = new VersionedCollection(store, 'api-keys', { version: 1, create: () => ({}) });
+  const hashSecret = (secret) => createHmac('sha256', pepper).update(secret).digest();
+
+  const create = async ({ clientId, name = null, quotas = {} }) => {
+    const keyId = randomBytes(8).toString('hex');
+    const secret = randomBytes(32).toString('base64url');
+    const record = {
+      keyId,
+      clientId,
+      name,
+      quotas,
+      hash: hashSecret(secret).toString('hex'),
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+      revokedAt: null,
+      rotatedTo: null
+    };
+    await keys.set(keyId, record);
+    return { key: `rw_${keyId}_${secret}`, record: publicRecord(record) };
+  };
+
+  return {
+    issue: create,
+
+    // Record for a presented key, or null if it is malformed, unknown,
+    // revoked or past its rotation grace period
+    async verify(key) {
+      const match = KEY_PATTERN.exec(key || '');
+      if (!match) return null;
+      const record = await keys.get(match[1]);
+      if (!record) return null;
+      const expected = Buffer.from(record.hash, 'hex');
+      const actual = hashSecret(match[2]);
+      if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+      const status = keyStatus(record);
+      if (status === 'revoked' || status === 'expired') return null;
+      const quotas = Object.fromEntries(Object.entries(defaultQuotas)
+        .map(([name, limits]) => [name, { ...limits, ...record.quotas?.[name] }]));
+      return { ...publicRecord(record), quotas };
+    },
+
+    // New key for the same client; the old one stays valid for graceSeconds
+    async rotate(keyId, { graceSeconds = ROTATION_GRACE } = {}) {
+      const old = await keys.get(keyId);
+      if (!old || keyStatus(old) === 'revoked' || keyStatus(old) === 'expired') return null;
+      const issued = await create({ clientId: old.clientId, name: old.name, quotas: old.quotas });
+      await keys.set(keyId, {
+        ...old,
+        expiresAt: new Date(Date.now() + graceSeconds * 1000).toISOString(),
+        rotatedTo: issued.record.keyId
+      });
+      return issued;
+    },
+
+    async revoke(keyId) {
+      const record = await keys.get(keyId);
+      if (!record) return null;
+      const revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+      await keys.set(keyId, revoked);
+      return publicRecord(revoked);
+    },
+
+    async list({ clientId } = {}) {
+      const records = await Promise.all((await keys.keys()).map(id => keys.get(id)));
+      return records
+        .filter(record => record && (!clientId || record.clientId === clientId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(publicRecord);
+    }
+  };
+}
+
+// Count one request against a key's quota for a route class. Resolves to
+// { allowed, window ('minute' | 'day' when exceeded), minute, day } where each
+// window is { limit, remaining, reset (epoch seconds) }. A request rejected by
+// the minute limit is not counted against the daily cap, whose remaining is
+// then unknown (null). A counter store error lets the request through.
+export async function consumeQuota(cache, keyId, routeClassName, limits) {
+  const now = Date.now();
+  const minuteStart = Math.floor(now / 60000) * 60000;
+  const dayStart = Date.parse(new Date(now).toISOString().slice(0, 10));
+  const windows = {
+    minute: { limit: limits.perMinute, start: minuteStart, end: minuteStart + 60000 },
+    day: { limit: limits.perDay, start: dayStart, end: dayStart + 86400000 }
+  };
+  const result = { allowed: true, window: null };
+  for (const [name, w] of Object.entries(windows)) {
+    let remaining = null;
+    if (result.allowed) {
+      const count = await cache.incr(`quota:${keyId}:${routeClassName}:${name}:${w.start}`, (w.end - now) / 1000) ?? 0;
+      if (count > w.limit) Object.assign(result, { allowed: false, window: name });
+      remaining = Math.max(0, w.limit - count);
+    }
+    result[name] = { limit: w.limit, remaining, reset: Math.ceil(w.end / 1000) };
+  }
+  return result;
+}
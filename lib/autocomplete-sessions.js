@@ -0,0 +1,46 @@
+// Places Autocomplete sessions issued by the proxy.
+//
+// Google bills an autocomplete session (any number of keystrokes followed by
+// one Place Details call with the same token) as a single request. The proxy
+// hands out the tokens, attaches them to /autocomplete calls and closes the
+// session on /place-details. Sessions live in the response cache store so
+// instances sharing CACHE_URL share them.
+import { randomUUID } from 'node:crypto';
+
+const SESSION_TTL = 180; // seconds of inactivity before a session is dropped
+
+export function createAutocompleteSessions(cache, { ttl = SESSION_TTL } = {}) {
+  const key = (token) => `ac-session:${token}`;
+  const save = (token, session) => {
+    const expiresAt = Date.now() + ttl * 1000;
+    return cache.set(key(token), { value: session, expiresAt, staleUntil: expiresAt }, ttl);
+  };
+  const open = async (token) => {
+    if (!token) return null;
+    const entry = await cache.get(key(token));
+    return entry && entry.expiresAt > Date.now() && !entry.value.closed ? entry.value : null;
+  };
+
+  return {
+    // Continue the client's session if it is still open, otherwise start one.
+    // Resolves to the token to use.
+    async touch(token) {
+      const session = await open(token);
+      if (session) {
+        await save(token, { ...session, requests: session.requests + 1 });
+        return token;
+      }
+      const fresh = randomUUID();
+      await save(fresh, { createdAt: Date.now(), requests: 1, closed: false });
+      return fresh;
+    },
+
+    // Close an open session; resolves to whether the token was one
+    async close(token) {
+      const session = await open(token);
+      if (!session) return false;
+      await save(token, { ...session, closed: true });
+      return true;
+    }
+  };
+}
@@ -0,0 +1,94 @@
+// Backend-v2 pass-through routes, shared by server.js and server-minimal.js.
+//
+// Each entry declares how one route is forwarded:
+//   method      express method ('get' | 'post' | 'all' ...)
+//   path        local path, also used upstream unless `upstream` maps it
+//   upstream    optional (req) => upstream path
+//   headers     request headers to pass through (x-lang defaults to the request's locale)
+//   setCookie   relay upstream set-cookie headers to the client
+//   timeoutMs   per-attempt timeout handed to the upstream client (504 backend_timeout)
+//   contentType fallback response content-type when upstream sends none
+
+import { DEFAULT_LOCALE } from './i18n.js';
+
+const TRACE = ['x-request-id', 'x-tenant-id'];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export const BACKEND_ROUTES = [
+  // OSRM routing
+  { method: 'post', path: '/api/route', headers: [...TRACE], timeoutMs: 15000 },
+  { method: 'get', path: '/api/hazards', headers: [...TRACE] },
+  // Google Places via backend-v2
+  { method: 'post', path: '/api/places/search', headers: [...TRACE, 'x-lang'] },
+  {
+    method: 'get', path: '/api/places/:placeId', headers: [...TRACE, 'x-lang'],
+    upstream: (req) => `/api/places/${encodeURIComponent(req.params.placeId)}`
+  },
+  // JWT auth via cookies
+  { method: 'all', path: '/api/profile', headers: [...TRACE, 'cookie'], setCookie: true },
+  // Family Mode signin (step 1 / step 2) and current session
+  { method: 'post', path: '/api/family/signin/start', headers: [...TRACE, 'cookie'], setCookie: true },
+  { method: 'post', path: '/api/family/signin/finish', headers: [...TRACE, 'cookie'], setCookie: true },
+  { method: 'get', path: '/api/me', headers: [...TRACE, 'cookie'], setCookie: true },
+  // Health: JSON endpoint and HTML dashboard
+  { method: 'get', path: '/admin/healthz', headers: [...TRACE], timeoutMs: 5000 },
+  { method: 'get', path: '/admin/health', headers: [...TRACE], timeoutMs: 5000, contentType: 'text/html' },
+  // Day planner (Step 7B)
+  { method: 'post', path: '/planner/plan-day', headers: [...TRACE, 'x-lang', 'cookie'], timeoutMs: 30000 }
+];
+
+// Values for headers the client didn't send; req.locale is set by server.js
+const HEADER_DEFAULTS = { 'x-lang': (req) => req.locale || DEFAULT_LOCALE };
+const BODYLESS = new Set(['GET', 'HEAD', 'DELETE']);
+
+function forwardHeaders(route, req, res) {
+  const headers = {};
+  for (const name of route.headers || []) {
+    let value = req.headers[name];
+    // Prefer the id this server assigned (and echoed back) over the inbound one
+    if (name === 'x-request-id') value = res.getHeader('x-request-id') || value;
+    value = value || HEADER_DEFAULTS[name]?.(req);
+    if (value) headers[name] = String(value);
+  }
+  if (!BODYLESS.has(req.method)) headers['content-type'] = 'application/json';
+  return headers;
+}
+
+// Mount every BACKEND_ROUTES entry on app.
+//   baseUrl  BACKEND_V2_URL; routes answer 503 backend_not_configured when empty
+//   fetch    upstream client fetch (see lib/upstream.js); receives timeoutMs per route
+//   onError  (req, error, route) => void, for the host server's logger
+export function mountBackendRoutes(app, { baseUrl, fetch, onError = () => {}, routes = BACKEND_ROUTES }) {
+  for (const route of routes) {
+    app[route.method](route.path, async (req, res) => {
+      if (!baseUrl) {
+        return res.status(503).json({ ok: false, code: 'backend_not_configured' });
+      }
+      const path = route.upstream ? route.upstream(req) : route.path;
+      const qs = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      try {
+        const r = await fetch(`${baseUrl}${path}${qs}`, {
+          method: req.method,
+          headers: forwardHeaders(route, req, res),
+          body: BODYLESS.has(req.method) ? undefined : JSON.stringify(req.body || {}),
+          timeoutMs: route.timeoutMs || DEFAULT_TIMEOUT_MS
+        });
+        if (route.setCookie) {
+          const setCookie = r.headers.raw?.()['set-cookie'] || r.headers.get('set-cookie');
+          if (setCookie?.length) res.setHeader('set-cookie', setCookie);
+        }
+        const txt = await r.text();
+        res.status(r.status).set('content-type', r.headers.get('content-type') || route.contentType || 'application/json').send(txt);
+      } catch (error) {
+        onError(req, error, route);
+        if (error.code === 'upstream_timeout') {
+          return res.status(504).json({ ok: false, code: 'backend_timeout' });
+        }
+        if (error.code === 'upstream_unavailable') {
+          return res.status(503).json({ ok: false, code: 'upstream_unavailable' });
+        }
+        res.status(502).json({ ok: false, code: 'backend_error' });
+      }
+    });
+  }
+}
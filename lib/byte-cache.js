@@ -0,0 +1,52 @@
+// In-process LRU cache for binary payloads (place photos), bounded by total
+// bytes rather than entry count. Entries larger than maxEntryBytes are never
+// stored. Not shared across instances: the response cache's Redis client is
+// text-only, and photos are cheap to refetch.
+export class ByteCache {
+  constructor({ maxBytes = 64 * 1024 * 1024, maxEntryBytes = 2 * 1024 * 1024, ttlSeconds = 86400 } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = maxEntryBytes;
+    this.ttlMs = ttlSeconds * 1000;
+    this.entries = new Map(); // key -> { body, contentType, expiresAt }, least recently used first
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      this.misses++;
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  set(key, body, contentType) {
+    if (body.length > this.maxEntryBytes) return false;
+    this.delete(key);
+    this.entries.set(key, { body, contentType, expiresAt: Date.now() + this.ttlMs });
+    this.bytes += body.length;
+    for (const oldest of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.body.length;
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes, maxBytes: this.maxBytes, hits: this.hits, misses: this.misses };
+  }
+}
@@ -0,0 +1,174 @@
+// Response cache backends for cacheMiddleware.
+//
+// A store holds entries of the form { value, expiresAt, staleUntil } (epoch ms):
+//   get(key) -> entry | null
+//   set(key, entry, ttlSeconds)   ttlSeconds covers the stale window too
+//   incr(key, ttlSeconds) -> new count | null   counter that expires ttlSeconds after its first incr
+//   stats() -> { backend, hits, misses, ... }
+//   close()
+//
+// MemoryCacheStore is per-instance (NodeCache). RedisCacheStore keeps entries
+// in Redis (lib/redis.js) so instances share hits; any Redis-compatible server
+// works. Redis errors degrade to cache misses.
+import NodeCache from 'node-cache';
+import { RedisClient } from './redis.js';
+
+export class MemoryCacheStore {
+  constructor({ stdTTL = 300, checkperiod = 60 } = {}) {
+    this.cache = new NodeCache({ stdTTL, checkperiod, useClones: false });
+  }
+
+  async get(key) {
+    return this.cache.get(key) ?? null;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    this.cache.set(key, entry, ttlSeconds);
+  }
+
+  async incr(key, ttlSeconds) {
+    const current = this.cache.get(key);
+    if (current === undefined) {
+      this.cache.set(key, 1, ttlSeconds);
+      return 1;
+    }
+    // Keep the original expiry rather than extending it
+    this.cache.set(key, current + 1, Math.max(1, (this.cache.getTtl(key) - Date.now()) / 1000));
+    return current + 1;
+  }
+
+  stats() {
+    return { backend: 'memory', keys: this.cache.keys().length, ...this.cache.getStats() };
+  }
+
+  close() {
+    this.cache.close();
+  }
+}
+
+export class RedisCacheStore {
+  // url: redis://[:password@]host[:port][/db]
+  constructor(url, { commandTimeoutMs = 500, prefix = 'rw:cache:', logger = console } = {}) {
+    this.client = new RedisClient(url, { commandTimeoutMs, logger, name: 'Redis cache' });
+    this.prefix = prefix;
+    this.logger = logger;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  async get(key) {
+    try {
+      const raw = await this.client.send('GET', this.prefix + key);
+      raw === null ? this.misses++ : this.hits++;
+      return raw === null ? null : JSON.parse(raw);
+    } catch (e) {
+      this.errors++;
+      this.logger.warn(`Redis cache get failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  async set(key, entry, ttlSeconds) {
+    try {
+      await this.client.send('SET', this.prefix + key, JSON.stringify(entry), 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+    } catch (e) {
+      this.errors++;
+      this.logger.warn(`Redis cache set failed: ${e.message}`);
+    }
+  }
+
+  async incr(key, ttlSeconds) {
+    try {
+      const count = await this.client.send('INCR', this.prefix + key);
+      if (count === 1) await this.client.send('EXPIRE', this.prefix + key, Math.max(1, Math.ceil(ttlSeconds)));
+      return count;
+    } catch (e) {
+      this.errors++;
+      this.logger.warn(`Redis cache incr failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  stats() {
+    return { backend: 'redis', connected: this.client.connected, hits: this.hits, misses: this.misses, errors: this.errors };
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+// CACHE_URL=redis://... selects Redis; anything else uses the in-memory store
+export function createCacheStore({ url, stdTTL, logger } = {}) {
+  if (url && url.startsWith('redis:')) return new RedisCacheStore(url, { logger });
+  return new MemoryCacheStore({ stdTTL });
+}
+
+// ---- Key normalization ----
+const COORD_KEYS = new Set(['lat', 'lng', 'lon', 'latitude', 'longitude']);
+
+// Canonical JSON: object keys sorted, coordinate fields rounded to `decimals`
+export function normalizeForKey(value, decimals) {
+  if (Array.isArray(value)) return value.map(v => normalizeForKey(v, decimals));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const k of Object.keys(value).sort()) {
+      const v = value[k];
+      const n = Number(v);
+      out[k] = decimals != null && COORD_KEYS.has(k) && v !== '' && v !== null && Number.isFinite(n)
+        ? Number(n.toFixed(decimals))
+        : normalizeForKey(v, decimals);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Wrap an async loader with the cache, keyed on its normalized params.
+//   namespace: key prefix (and metrics label)
+//   ttl:       seconds an entry is served as fresh
+//   swr:       extra seconds an expired entry is still served while it is refreshed in the background
+//   round:     decimals coordinates are rounded to in the key
+//   onLookup:  (namespace, 'HIT' | 'STALE' | 'MISS') for metrics
+// The wrapped function is called as fn(params, { onCache, context }) and
+// reports the lookup result through onCache (e.g. to set an X-Cache header).
+// context is handed to the loader as its second argument but is not part of
+// the key (e.g. a per-user session token). Concurrent
+// misses and refreshes for the same key share one loader call. Loader errors
+// are not cached.
+export function cachedLoader(cache, namespace, { ttl, swr = 0, round = 4, onLookup = () => {}, logger = console }, loader) {
+  const inflight = new Map();
+
+  const load = (key, params, context) => {
+    if (!inflight.has(key)) {
+      const run = (async () => {
+        const value = await loader(params, context);
+        const now = Date.now();
+        await cache.set(key, { value, expiresAt: now + ttl * 1000, staleUntil: now + (ttl + swr) * 1000 }, ttl + swr);
+        return value;
+      })().finally(() => inflight.delete(key));
+      inflight.set(key, run);
+    }
+    return inflight.get(key);
+  };
+
+  return async (params = {}, { onCache, context } = {}) => {
+    const key = `${namespace}:${JSON.stringify(normalizeForKey(params, round))}`;
+    const entry = await cache.get(key);
+    const now = Date.now();
+    const status = !entry ? 'MISS'
+      : entry.expiresAt > now ? 'HIT'
+      : entry.staleUntil > now ? 'STALE'
+      : 'MISS';
+    onLookup(namespace, status);
+    onCache?.(status);
+
+    if (status === 'HIT') return entry.value;
+    if (status === 'STALE') {
+      load(key, params, context).catch(e => logger.warn(`Revalidation failed for ${key}: ${e.message}`));
+      return entry.value;
+    }
+    return load(key, params, context);
+  };
+}
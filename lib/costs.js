@@ -0,0 +1,190 @@
+// Upstream cost accounting. Every billable upstream call (Google Maps SKUs,
+// OpenAI tokens) is attributed to the calling client, user and route, priced
+// and summed in hourly buckets; /admin/costs reports them. Daily budgets
+// decide when AI routes degrade to cached or stub replies (lib/llm.js).
+//
+// Attribution comes from a per-request AsyncLocalStorage context opened by the
+// server (run()), so services don't have to pass it along. Prices are
+// estimates (list prices, no free tier or volume discounts). Totals are per
+// process: with several instances each one holds the budget on its own.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Estimated USD per unit: a call, or a token for openai.*. COST_PRICES overrides.
+export const DEFAULT_PRICES = {
+  'google.nearbysearch': 0.032,
+  'google.textsearch': 0.032,
+  'google.details': 0.017,
+  'google.autocomplete': 0.00283, // request outside a session
+  'google.autocomplete_session_request': 0, // keystrokes in a session are free...
+  'google.autocomplete_session': 0.017, // ...the session is billed when Place Details closes it
+  'google.photo': 0.007,
+  'google.directions': 0.005,
+  'google.directions_advanced': 0.01, // traffic, waypoint optimization or 11+ waypoints
+  'google.geocode': 0.005,
+  'openai.prompt_tokens': 0.15 / 1e6,
+  'openai.completion_tokens': 0.6 / 1e6
+};
+
+// Google bills requests it answers, including empty results, but not those
+// refused in the body (REQUEST_DENIED, OVER_QUERY_LIMIT, INVALID_REQUEST...)
+export const GOOGLE_BILLABLE_STATUSES = ['OK', 'ZERO_RESULTS'];
+
+const BUCKET_MS = 3600 * 1000;
+const RETAIN_HOURS = 7 * 24;
+const DIMENSIONS = ['client', 'user', 'route', 'sku'];
+const MAX_USERS_PER_BUCKET = 500; // distinct users per hourly bucket; later ones are grouped as OTHER_USER
+export const OTHER_USER = 'other';
+
+// SKUs billed for one successful Google Maps request
+export function googleSkus(url) {
+  const { pathname, searchParams } = new URL(url);
+  const api = pathname.replace(/^\/maps\/api\//, '').replace(/\/json$/, '');
+  switch (api) {
+    case 'place/nearbysearch': return ['google.nearbysearch'];
+    case 'place/textsearch': return ['google.textsearch'];
+    case 'place/details':
+      return searchParams.has('sessiontoken') ? ['google.details', 'google.autocomplete_session'] : ['google.details'];
+    case 'place/autocomplete':
+      return [searchParams.has('sessiontoken') ? 'google.autocomplete_session_request' : 'google.autocomplete'];
+    case 'place/photo': return ['google.photo'];
+    case 'directions': {
+      const waypoints = (searchParams.get('waypoints') || '').split('|').filter(Boolean);
+      const traffic = searchParams.has('departure_time') && (searchParams.get('mode') || 'driving') === 'driving';
+      const advanced = traffic || waypoints[0] === 'optimize:true' || waypoints.length > 10;
+      return [advanced ? 'google.directions_advanced' : 'google.directions'];
+    }
+    case 'geocode': return ['google.geocode'];
+    default: return [];
+  }
+}
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// budgets: { daily, clientDaily } in USD per UTC day (null: no limit)
+// onRecord: (sku, cost) after every priced unit batch, e.g. for metrics
+// maxUsers: distinct users kept per hourly bucket, so client-chosen user ids
+// can't grow memory without bound
+export function createCostTracker({ prices = DEFAULT_PRICES, budgets = {}, retainHours = RETAIN_HOURS, maxUsers = MAX_USERS_PER_BUCKET, onRecord = () => {} } = {}) {
+  const context = new AsyncLocalStorage();
+  const buckets = new Map(); // bucket start (ms) -> Map(row key -> row)
+  const bucketUsers = new Map(); // bucket start (ms) -> Set(user)
+  let today = { day: utcDay(Date.now()), total: 0, clients: new Map() };
+
+  const attribution = () => {
+    const store = context.getStore();
+    return { client: 'system', user: null, route: null, ...(typeof store === 'function' ? store() : store) };
+  };
+
+  function add(sku, units) {
+    if (!units) return;
+    const cost = units * (prices[sku] ?? 0);
+    const { client, route, ...rest } = attribution();
+    const now = Date.now();
+    const start = Math.floor(now / BUCKET_MS) * BUCKET_MS;
+    if (!buckets.has(start)) {
+      buckets.set(start, new Map());
+      bucketUsers.set(start, new Set());
+      for (const old of buckets.keys()) {
+        if (old < start - retainHours * BUCKET_MS) { buckets.delete(old); bucketUsers.delete(old); }
+      }
+    }
+    const rows = buckets.get(start);
+    const users = bucketUsers.get(start);
+    let user = rest.user ?? null;
+    if (user !== null && !users.has(user)) {
+      if (users.size < maxUsers) users.add(user); else user = OTHER_USER;
+    }
+    const key = JSON.stringify([client, user, route, sku]);
+    const row = rows.get(key) || { client, user, route, sku, calls: 0, units: 0, cost: 0 };
+    row.calls++;
+    row.units += units;
+    row.cost += cost;
+    rows.set(key, row);
+
+    if (today.day !== utcDay(now)) today = { day: utcDay(now), total: 0, clients: new Map() };
+    today.total += cost;
+    today.clients.set(client, (today.clients.get(client) || 0) + cost);
+    onRecord(sku, cost);
+  }
+
+  function budgetStatus(client = attribution().client) {
+    if (today.day !== utcDay(Date.now())) today = { day: utcDay(Date.now()), total: 0, clients: new Map() };
+    const clientSpent = today.clients.get(client) || 0;
+    const overDaily = budgets.daily != null && today.total >= budgets.daily;
+    const overClient = budgets.clientDaily != null && clientSpent >= budgets.clientDaily;
+    return {
+      day: today.day,
+      spent: today.total,
+      budget: budgets.daily ?? null,
+      client,
+      clientSpent,
+      clientBudget: budgets.clientDaily ?? null,
+      degraded: overDaily || overClient,
+      reason: overDaily ? 'daily_budget' : overClient ? 'client_budget' : null
+    };
+  }
+
+  return {
+    // Run fn with calls attributed to { client, user, route } (or a function
+    // returning it, evaluated when a call is recorded)
+    run(attributionOrFn, fn) {
+      return context.run(attributionOrFn, fn);
+    },
+
+    // One billed Google Maps request (see GOOGLE_BILLABLE_STATUSES); callers
+    // decide from the response body, since Google reports refusals as HTTP 200
+    recordGoogle(url) {
+      for (const sku of googleSkus(url)) add(sku, 1);
+    },
+
+    // Hook for createLLMClient({ onUsage })
+    recordUsage(name, usage) {
+      add('openai.prompt_tokens', usage.prompt_tokens || 0);
+      add('openai.completion_tokens', usage.completion_tokens || 0);
+    },
+
+    budgetStatus,
+
+    // Whether AI routes should degrade for the current request's client
+    overBudget() {
+      return budgetStatus().degraded;
+    },
+
+    // Totals between from and to (ms, bucket-aligned) grouped by any of
+    // client/user/route/sku, plus per-bucket totals; rows most expensive first
+    report({ from = Date.now() - 24 * BUCKET_MS, to = Date.now(), groupBy = ['client', 'route', 'sku'], filter = {} } = {}) {
+      const dims = groupBy.filter(d => DIMENSIONS.includes(d));
+      const groups = new Map();
+      const series = [];
+      const totals = { calls: 0, cost: 0 };
+      for (const [start, rows] of [...buckets.entries()].sort((a, b) => a[0] - b[0])) {
+        if (start + BUCKET_MS <= from || start > to) continue;
+        const bucket = { start: new Date(start).toISOString(), calls: 0, cost: 0 };
+        for (const row of rows.values()) {
+          if (Object.entries(filter).some(([dim, value]) => value != null && row[dim] !== value)) continue;
+          const key = JSON.stringify(dims.map(d => row[d]));
+          const group = groups.get(key) || { ...Object.fromEntries(dims.map(d => [d, row[d]])), calls: 0, units: 0, cost: 0 };
+          group.calls += row.calls;
+          group.units += row.units;
+          group.cost += row.cost;
+          groups.set(key, group);
+          bucket.calls += row.calls;
+          bucket.cost += row.cost;
+        }
+        if (bucket.calls) series.push(bucket);
+        totals.calls += bucket.calls;
+        totals.cost += bucket.cost;
+      }
+      const round = (n) => Math.round(n * 1e6) / 1e6;
+      return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        bucketSeconds: BUCKET_MS / 1000,
+        currency: 'USD',
+        totals: { calls: totals.calls, cost: round(totals.cost) },
+        buckets: series.map(b => ({ ...b, cost: round(b.cost) })),
+        rows: [...groups.values()].sort((a, b) => b.cost - a.cost).map(r => ({ ...r, cost: round(r.cost) }))
+      };
+    }
+  };
+}
@@ -0,0 +1,183 @@
+// Offline gazetteer: places from a GeoNames-format file, indexed in memory
+// for name-prefix search (autocomplete), whole-word lookups (geocoding),
+// nearest-place lookups and the time zone of a point. Serves /geocode and
+// /autocomplete when Google is over quota, unavailable or not configured.
+//
+// The file is GeoNames' "geoname" table (tab-separated, 19 columns, e.g.
+// IL.txt from https://download.geonames.org/export/dump/); lines starting
+// with # are skipped.
+import fs from 'node:fs';
+import { haversine } from './geo.js';
+
+export const OFFLINE_SOURCE = 'offline-gazetteer';
+
+const COUNTRY_NAMES = { IL: 'Israel', PS: 'Palestine', JO: 'Jordan', EG: 'Egypt', LB: 'Lebanon', SY: 'Syria' };
+const CELL_DEGREES = 0.1; // spatial grid cell, ~11km
+const MAX_REVERSE_METERS = 25000;
+const MAX_TIMEZONE_METERS = 100000;
+
+// Lowercase, drop diacritics/niqqud and punctuation so "Be'er Sheva" matches "beer sheva"
+export function normalizeName(s) {
+  return String(s).normalize('NFKD')
+    .replace(/[\u0300-\u036f\u0591-\u05bd\u05bf-\u05c7\u064b-\u065f]/g, '')
+    .toLowerCase()
+    .replace(/['"`\u05f3\u05f4\u2019]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function parseLine(line) {
+  const c = line.split('\t');
+  if (c.length < 15) return null;
+  const lat = Number(c[4]), lng = Number(c[5]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return {
+    id: c[0],
+    name: c[1],
+    asciiName: c[2],
+    alternateNames: c[3] ? c[3].split(',').filter(Boolean) : [],
+    lat, lng,
+    featureClass: c[6],
+    featureCode: c[7],
+    countryCode: c[8],
+    population: Number(c[14]) || 0,
+    timezone: c[17] || null
+  };
+}
+
+export class Gazetteer {
+  constructor(places = []) {
+    this.places = places;
+    this.byId = new Map(places.map(place => [place.id, place]));
+    // Prefix index: sorted [normalized key, place index] for every name and
+    // every word start within a name
+    const keys = [];
+    places.forEach((place, i) => {
+      for (const name of new Set([place.name, place.asciiName, ...place.alternateNames])) {
+        const norm = normalizeName(name);
+        if (!norm) continue;
+        const words = norm.split(' ');
+        words.forEach((_, w) => keys.push([words.slice(w).join(' '), i]));
+      }
+    });
+    this.keys = keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    // Spatial index: grid cell -> place indexes
+    this.cells = new Map();
+    places.forEach((place, i) => {
+      const cell = this.cellOf(place.lat, place.lng);
+      if (!this.cells.has(cell)) this.cells.set(cell, []);
+      this.cells.get(cell).push(i);
+    });
+  }
+
+  static load(file) {
+    const places = fs.readFileSync(file, 'utf8').split('\n')
+      .filter(line => line && !line.startsWith('#'))
+      .map(parseLine)
+      .filter(Boolean);
+    return new Gazetteer(places);
+  }
+
+  get size() {
+    return this.places.length;
+  }
+
+  get(id) {
+    return this.byId.get(String(id)) || null;
+  }
+
+  // Best match for a free-form query: the whole query, else its
+  // comma-separated parts ("Dizengoff 1, Tel Aviv" -> "Tel Aviv"). Only
+  // whole words match, so "Ra" finds nothing rather than "Ramat Gan"
+  lookup(query) {
+    const parts = [query, ...String(query).split(',').slice(1).map(s => s.trim()), String(query).split(',')[0]];
+    for (const part of parts) {
+      const [place] = this.search(part, { limit: 1, wholeWords: true });
+      if (place) return place;
+    }
+    return null;
+  }
+
+  cellOf(lat, lng) {
+    return `${Math.floor(lat / CELL_DEGREES)}:${Math.floor(lng / CELL_DEGREES)}`;
+  }
+
+  // Places whose name (or a word in it) starts with `prefix`, most populous
+  // first, or nearest first when `near` ({ lat, lng }) is given. wholeWords
+  // requires the prefix to end on a word boundary ("tel aviv" matches
+  // "Tel Aviv-Yafo", "tel av" does not)
+  search(prefix, { limit = 5, near, wholeWords = false } = {}) {
+    const q = normalizeName(prefix);
+    if (!q) return [];
+    let lo = 0, hi = this.keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.keys[mid][0] < q) lo = mid + 1; else hi = mid;
+    }
+    const found = new Map(); // place index -> exact match
+    for (let i = lo; i < this.keys.length && this.keys[i][0].startsWith(q); i++) {
+      const [key, index] = this.keys[i];
+      if (wholeWords && key !== q && !key.startsWith(`${q} `)) continue;
+      found.set(index, found.get(index) || key === q);
+    }
+    const rank = ([index, exact]) => {
+      const place = this.places[index];
+      const base = near ? -haversine(near, place) / 1000 : Math.log10(place.population + 10);
+      return base + (exact ? 100 : 0);
+    };
+    return [...found.entries()]
+      .sort((a, b) => rank(b) - rank(a))
+      .slice(0, limit)
+      .map(([index]) => this.places[index]);
+  }
+
+  // Nearest populated place (or landmark if none) within maxMeters
+  nearest({ lat, lng }, { maxMeters = MAX_REVERSE_METERS } = {}) {
+    const row = Math.floor(lat / CELL_DEGREES), col = Math.floor(lng / CELL_DEGREES);
+    const rings = Math.ceil(maxMeters / 11000);
+    let best = null;
+    for (let dr = -rings; dr <= rings; dr++) {
+      for (let dc = -rings; dc <= rings; dc++) {
+        for (const index of this.cells.get(`${row + dr}:${col + dc}`) || []) {
+          const place = this.places[index];
+          const meters = haversine({ lat, lng }, place) * (place.featureClass === 'P' ? 1 : 2);
+          if (meters <= maxMeters && (!best || meters < best.meters)) best = { place, meters };
+        }
+      }
+    }
+    return best?.place || null;
+  }
+
+  // IANA time zone of the nearest place within MAX_TIMEZONE_METERS, or null
+  timeZoneAt(point) {
+    return this.nearest(point, { maxMeters: MAX_TIMEZONE_METERS })?.timezone || null;
+  }
+}
+
+// A gazetteer place in the /geocode result shape
+export function toOfflineGeocodeResult(place) {
+  const country = COUNTRY_NAMES[place.countryCode] || place.countryCode;
+  return {
+    address: `${place.name}, ${country}`,
+    lat: place.lat,
+    lng: place.lng,
+    placeId: `offline:${place.id}`,
+    types: [place.featureClass === 'P' ? 'locality' : 'point_of_interest'],
+    locality: place.featureClass === 'P' ? place.name : null,
+    country,
+    countryCode: place.countryCode,
+    source: OFFLINE_SOURCE
+  };
+}
+
+// A gazetteer place as a Google Autocomplete prediction
+export function toOfflinePrediction(place) {
+  const country = COUNTRY_NAMES[place.countryCode] || place.countryCode;
+  return {
+    description: `${place.name}, ${country}`,
+    place_id: `offline:${place.id}`,
+    structured_formatting: { main_text: place.name, secondary_text: country },
+    types: [place.featureClass === 'P' ? 'locality' : 'point_of_interest'],
+    source: OFFLINE_SOURCE
+  };
+}
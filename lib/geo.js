@@ -0,0 +1,59 @@
+// Small geometry helpers for routes: polyline decoding, distances, sampling.
+
+const EARTH_RADIUS_M = 6371000;
+const rad = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in meters between two { lat, lng }
+export function haversine(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Decode a Google encoded polyline (precision 5) into [{ lat, lng }]
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0, lat = 0, lng = 0;
+  const next = () => {
+    let result = 0, shift = 0, byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += next();
+    lng += next();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+// Points every intervalMeters along a path (always including both ends),
+// each with its distance from the start. At most maxSamples points are
+// returned; the interval is widened to fit.
+export function samplePath(points, intervalMeters, maxSamples = Infinity) {
+  if (!points.length) return [];
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) cumulative.push(cumulative[i - 1] + haversine(points[i - 1], points[i]));
+  const length = cumulative[cumulative.length - 1];
+  const step = Math.max(intervalMeters, length / Math.max(1, maxSamples - 1));
+
+  const samples = [{ ...points[0], distanceMeters: 0 }];
+  let i = 1;
+  for (let target = step; target < length; target += step) {
+    while (cumulative[i] < target) i++;
+    const span = cumulative[i] - cumulative[i - 1];
+    const t = span ? (target - cumulative[i - 1]) / span : 0;
+    samples.push({
+      lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * t,
+      lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * t,
+      distanceMeters: Math.round(target)
+    });
+  }
+  if (length > 0) samples.push({ ...points[points.length - 1], distanceMeters: Math.round(length) });
+  return samples;
+}
@@ -0,0 +1,204 @@
+// Message catalog and locale resolution for user-facing text.
+//
+// Every route gets req.locale (see resolveLocale) and uses it both for the
+// strings below and as the `language` of upstream calls (Google, LLM prompts),
+// so one request never mixes languages. Strings take {name} placeholders.
+// Missing keys fall back to English, then to the key itself.
+
+export const LOCALES = ['he', 'en', 'ar'];
+export const DEFAULT_LOCALE = 'he';
+
+// For LLM prompts ("reply in ...")
+export const LANGUAGE_NAMES = { he: 'Hebrew', en: 'English', ar: 'Arabic' };
+
+const MESSAGES = {
+  en: {
+    'reason.adventurous': '🗺️ Based on your adventurous mood, here are some unique local experiences',
+    'reason.relaxed': '😌 Perfect spots to unwind and relax',
+    'reason.social': '👥 Great places to socialize and meet people',
+    'reason.romantic': '💕 Perfect for a romantic experience',
+    'reason.hungry': '🍽️ Delicious options to satisfy your hunger',
+    'reason.rain': "☔ Great indoor options since it's raining",
+    'reason.poor_weather': "🏠 Indoor options while it's not great outside",
+    'reason.hot': '☀️ Cool treats for this warm weather',
+    'reason.beach_weather': '🏖️ Good beach weather right now',
+    'reason.default': '✨ Personalized recommendations just for you',
+    'voice.fallback': 'Got it! Searching for you...',
+    'trip.completed': 'Trip completed!',
+    'adjust.dark': 'Outdoor place - consider moving it to tomorrow or to an indoor venue',
+    'adjust.weather': "The weather doesn't suit this activity right now - consider an indoor alternative",
+    'notify.lunch.title': '🍽️ Lunchtime!',
+    'notify.lunch.message': 'I found some great restaurants near you',
+    'notify.hot.title': "☀️ It's hot out!",
+    'notify.hot.message': '{temp}°C - how about ice cream or somewhere air-conditioned?',
+    'notify.rain.title': '🌧️ Rain on the way',
+    'notify.rain.message': 'I found indoor places that suit you',
+    'notify.beach.title': '🏖️ Perfect beach weather',
+    'notify.beach.message': 'Between {start} and {end}',
+    'notify.taste.title': '⭐ You have great taste!',
+    'notify.taste.message': 'Your average rating: {rating} - shall we find you more top-rated places?',
+    'verdict.warmer': 'warmer',
+    'verdict.colder': 'colder',
+    'verdict.wetter': 'wetter',
+    'verdict.drier': 'drier',
+    'verdict.similar': 'similar weather at destination',
+    'verdict.summary': '{changes} at destination',
+    'verdict.and': ' and ',
+    'plan.title': 'Trip from {start}',
+    'plan.start': 'Start',
+    'plan.lunch': 'Lunch break',
+    'plan.dinner': 'Dinner break',
+    'plan.suggested': 'Suggested based on preferences',
+    'plan.selected': 'Selected {count} places for {interests} across {days} day(s)',
+    'plan.none_found': 'No places found near {start} for {interests}',
+    'plan.weather_indoor': 'Weather is {conditions}, consider indoor alternatives',
+    'plan.weather_outdoor': 'Weather is {conditions}, suitable for outdoor activities',
+    'plan.route': 'Total route is {distance} km, about {duration} minutes of travel',
+    'conditions.sunny': 'sunny',
+    'conditions.partly_cloudy': 'partly cloudy',
+    'conditions.cloudy': 'cloudy',
+    'conditions.rainy': 'rainy',
+    'interaction.recorded': 'Interaction recorded for future recommendations',
+    'interaction.anonymous': 'Not recorded: send a userId to personalize recommendations'
+  },
+  he: {
+    'reason.adventurous': '🗺️ לפי מצב הרוח ההרפתקני שלך, הנה כמה חוויות מקומיות ייחודיות',
+    'reason.relaxed': '😌 מקומות מושלמים להירגע ולנוח',
+    'reason.social': '👥 מקומות נהדרים לבלות ולהכיר אנשים',
+    'reason.romantic': '💕 מושלם לחוויה רומנטית',
+    'reason.hungry': '🍽️ אפשרויות טעימות להשביע את הרעב',
+    'reason.rain': '☔ אפשרויות מקורות נהדרות כי יורד גשם',
+    'reason.poor_weather': '🏠 אפשרויות מקורות כשמזג האוויר בחוץ לא נעים',
+    'reason.hot': '☀️ משהו מרענן למזג האוויר החם',
+    'reason.beach_weather': '🏖️ מזג אוויר טוב לחוף עכשיו',
+    'reason.default': '✨ המלצות מותאמות אישית בשבילך',
+    'voice.fallback': 'הבנתי! מחפש עבורך...',
+    'trip.completed': 'הטיול הסתיים!',
+    'adjust.dark': 'מקום חיצוני - שקול לעבור למחר או למקום מקורה',
+    'adjust.weather': 'מזג האוויר לא מתאים לפעילות הזו כרגע - שקול חלופה מקורה',
+    'notify.lunch.title': '🍽️ זמן צהריים!',
+    'notify.lunch.message': 'מצאתי כמה מסעדות נהדרות בקרבתך',
+    'notify.hot.title': '☀️ חום בחוץ!',
+    'notify.hot.message': '{temp}°C - מה דעתך על גלידה או מקום עם מיזוג?',
+    'notify.rain.title': '🌧️ גשם בדרך',
+    'notify.rain.message': 'מצאתי מקומות מקורים שיתאימו לך',
+    'notify.beach.title': '🏖️ מזג אוויר מושלם לחוף',
+    'notify.beach.message': 'בין {start} ל-{end}',
+    'notify.taste.title': '⭐ אתה בעל טעם מעולה!',
+    'notify.taste.message': 'הציון הממוצע שלך: {rating} - נמצא לך עוד מקומות איכותיים?',
+    'verdict.warmer': 'חם יותר',
+    'verdict.colder': 'קר יותר',
+    'verdict.wetter': 'גשום יותר',
+    'verdict.drier': 'יבש יותר',
+    'verdict.similar': 'מזג אוויר דומה ביעד',
+    'verdict.summary': '{changes} ביעד',
+    'verdict.and': ' ו',
+    'plan.title': 'טיול מ{start}',
+    'plan.start': 'נקודת ההתחלה',
+    'plan.lunch': 'הפסקת צהריים',
+    'plan.dinner': 'הפסקת ארוחת ערב',
+    'plan.suggested': 'הוצע לפי ההעדפות שלך',
+    'plan.selected': 'נבחרו {count} מקומות עבור {interests} לאורך {days} ימים',
+    'plan.none_found': 'לא נמצאו מקומות ליד {start} עבור {interests}',
+    'plan.weather_indoor': 'מזג האוויר {conditions}, כדאי לשקול חלופות מקורות',
+    'plan.weather_outdoor': 'מזג האוויר {conditions}, מתאים לפעילות בחוץ',
+    'plan.route': 'אורך המסלול הכולל {distance} ק"מ, כ-{duration} דקות נסיעה',
+    'conditions.sunny': 'שמשי',
+    'conditions.partly_cloudy': 'מעונן חלקית',
+    'conditions.cloudy': 'מעונן',
+    'conditions.rainy': 'גשום',
+    'interaction.recorded': 'הפעולה נשמרה לטובת המלצות עתידיות',
+    'interaction.anonymous': 'לא נשמר: שלח userId כדי לקבל המלצות מותאמות אישית'
+  },
+  ar: {
+    'reason.adventurous': '🗺️ بناءً على مزاجك المغامر، إليك تجارب محلية فريدة',
+    'reason.relaxed': '😌 أماكن مثالية للاسترخاء والراحة',
+    'reason.social': '👥 أماكن رائعة للتواصل والتعرف على أشخاص جدد',
+    'reason.romantic': '💕 مثالي لتجربة رومانسية',
+    'reason.hungry': '🍽️ خيارات لذيذة لإشباع جوعك',
+    'reason.rain': '☔ خيارات داخلية رائعة لأنها تمطر',
+    'reason.poor_weather': '🏠 خيارات داخلية بينما الطقس في الخارج غير مناسب',
+    'reason.hot': '☀️ ما ينعشك في هذا الطقس الحار',
+    'reason.beach_weather': '🏖️ طقس جيد للشاطئ الآن',
+    'reason.default': '✨ توصيات مخصصة لك',
+    'voice.fallback': 'فهمت! أبحث لك...',
+    'trip.completed': 'انتهت الرحلة!',
+    'adjust.dark': 'مكان خارجي - فكّر في تأجيله إلى الغد أو اختيار مكان مغلق',
+    'adjust.weather': 'الطقس غير مناسب لهذا النشاط حاليًا - فكّر في بديل داخلي',
+    'notify.lunch.title': '🍽️ وقت الغداء!',
+    'notify.lunch.message': 'وجدت بعض المطاعم الرائعة بالقرب منك',
+    'notify.hot.title': '☀️ الجو حار في الخارج!',
+    'notify.hot.message': '{temp}°C - ما رأيك بالبوظة أو مكان مكيّف؟',
+    'notify.rain.title': '🌧️ أمطار في الطريق',
+    'notify.rain.message': 'وجدت أماكن داخلية تناسبك',
+    'notify.beach.title': '🏖️ طقس مثالي للشاطئ',
+    'notify.beach.message': 'بين {start} و{end}',
+    'notify.taste.title': '⭐ لديك ذوق رائع!',
+    'notify.taste.message': 'متوسط تقييمك: {rating} - هل نجد لك المزيد من الأماكن المميزة؟',
+    'verdict.warmer': 'أدفأ',
+    'verdict.colder': 'أبرد',
+    'verdict.wetter': 'أكثر مطرًا',
+    'verdict.drier': 'أكثر جفافًا',
+    'verdict.similar': 'طقس مشابه في الوجهة',
+    'verdict.summary': '{changes} في الوجهة',
+    'verdict.and': ' و',
+    'plan.title': 'رحلة من {start}',
+    'plan.start': 'نقطة البداية',
+    'plan.lunch': 'استراحة الغداء',
+    'plan.dinner': 'استراحة العشاء',
+    'plan.suggested': 'مقترح بناءً على تفضيلاتك',
+    'plan.selected': 'تم اختيار {count} أماكن لـ {interests} على مدى {days} يوم',
+    'plan.none_found': 'لم يتم العثور على أماكن بالقرب من {start} لـ {interests}',
+    'plan.weather_indoor': 'الطقس {conditions}، فكّر في بدائل داخلية',
+    'plan.weather_outdoor': 'الطقس {conditions}، مناسب للأنشطة الخارجية',
+    'plan.route': 'إجمالي المسار {distance} كم، حوالي {duration} دقيقة من التنقل',
+    'conditions.sunny': 'مشمس',
+    'conditions.partly_cloudy': 'غائم جزئيًا',
+    'conditions.cloudy': 'غائم',
+    'conditions.rainy': 'ماطر',
+    'interaction.recorded': 'تم تسجيل التفاعل للتوصيات المستقبلية',
+    'interaction.anonymous': 'لم يتم التسجيل: أرسل userId لتخصيص التوصيات'
+  }
+};
+
+// Catalog string for key in locale, with {name} placeholders filled from params
+export function t(locale, key, params = {}) {
+  const template = MESSAGES[locale]?.[key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Supported locale for a language tag ("he-IL", "iw", "AR_eg"), or null
+export function supportedLocale(tag) {
+  const primary = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  const locale = primary === 'iw' ? 'he' : primary;
+  return LOCALES.includes(locale) ? locale : null;
+}
+
+// Accept-Language tags, most preferred first
+function acceptedLanguages(header) {
+  return String(header || '').split(',')
+    .map((part, i) => {
+      const [tag, ...attrs] = part.trim().split(';');
+      const q = attrs.map(a => /^\s*q=([\d.]+)\s*$/.exec(a)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, i };
+    })
+    .filter(l => l.tag && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(l => l.tag);
+}
+
+// Locale for a request: body locale (or language), then the x-lang header,
+// then Accept-Language; the first supported one wins
+export function resolveLocale(req) {
+  const candidates = [
+    req.body?.locale,
+    req.body?.language,
+    req.get('x-lang'),
+    ...acceptedLanguages(req.get('accept-language'))
+  ];
+  for (const candidate of candidates) {
+    const locale = typeof candidate === 'string' && supportedLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
@@ -0,0 +1,223 @@
+// Output schemas for LLM JSON replies, and a small validator that coerces
+// near-misses instead of rejecting them.
+//
+// Schema nodes:
+//   { type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'enum' | 'any', ... }
+//   optional: true      may be missing (left out of the result)
+//   default: value      used when missing (implies optional)
+//   nullable: true      null allowed; an enum value that can't be coerced becomes null
+//   values / synonyms   enum members, and extra spellings mapped onto them
+//   min / max           numbers are clamped, arrays are length-checked (min only)
+//   properties / items  object members / array element schema
+//   passthrough: true   keep object members not listed in properties
+//
+// validate(schema, value) -> { value, errors: ['path: message'], coercions: ['path: from -> to'] }
+
+const describe = (v) => JSON.stringify(v)?.slice(0, 60);
+
+function coerceEnum(node, v) {
+  if (typeof v !== 'string') return undefined;
+  const key = v.trim().toLowerCase();
+  const hit = node.values.find(x => String(x).toLowerCase() === key);
+  if (hit !== undefined) return hit;
+  return node.synonyms?.[key];
+}
+
+function check(node, v, path, out) {
+  const here = path || '(root)';
+
+  if (v === undefined) {
+    if ('default' in node) return structuredClone(node.default);
+    if (node.optional) return undefined;
+    if (node.nullable) return null;
+    out.errors.push(`${here}: is required`);
+    return undefined;
+  }
+  if (v === null) {
+    if (node.nullable) return null;
+    if ('default' in node) {
+      out.coercions.push(`${here}: null -> ${describe(node.default)}`);
+      return structuredClone(node.default);
+    }
+    out.errors.push(`${here}: must not be null`);
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'any':
+      return v;
+
+    case 'string':
+      if (typeof v === 'string') return v;
+      if (typeof v === 'number' || typeof v === 'boolean') {
+        out.coercions.push(`${here}: ${describe(v)} -> string`);
+        return String(v);
+      }
+      out.errors.push(`${here}: must be a string`);
+      return undefined;
+
+    case 'number': {
+      let n = v;
+      if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) {
+        n = Number(v);
+        out.coercions.push(`${here}: ${describe(v)} -> ${n}`);
+      }
+      if (typeof n !== 'number' || !Number.isFinite(n)) {
+        out.errors.push(`${here}: must be a number`);
+        return undefined;
+      }
+      const clamped = Math.min(node.max ?? Infinity, Math.max(node.min ?? -Infinity, n));
+      if (clamped !== n) out.coercions.push(`${here}: ${n} -> ${clamped}`);
+      return clamped;
+    }
+
+    case 'boolean':
+      if (typeof v === 'boolean') return v;
+      if (v === 'true' || v === 'false') {
+        out.coercions.push(`${here}: ${describe(v)} -> ${v}`);
+        return v === 'true';
+      }
+      out.errors.push(`${here}: must be a boolean`);
+      return undefined;
+
+    case 'enum': {
+      if (node.values.includes(v)) return v;
+      const hit = coerceEnum(node, v);
+      if (hit !== undefined) {
+        out.coercions.push(`${here}: ${describe(v)} -> ${describe(hit)}`);
+        return hit;
+      }
+      if (node.nullable) {
+        out.coercions.push(`${here}: ${describe(v)} -> null`);
+        return null;
+      }
+      if ('default' in node) {
+        out.coercions.push(`${here}: ${describe(v)} -> ${describe(node.default)}`);
+        return node.default;
+      }
+      out.errors.push(`${here}: must be one of ${node.values.join(' | ')} (got ${describe(v)})`);
+      return undefined;
+    }
+
+    case 'array': {
+      if (!Array.isArray(v)) {
+        out.errors.push(`${here}: must be an array`);
+        return undefined;
+      }
+      if (node.min && v.length < node.min) out.errors.push(`${here}: must have at least ${node.min} item(s)`);
+      return v.map((item, i) => check(node.items, item, `${path}[${i}]`, out));
+    }
+
+    case 'object': {
+      if (typeof v !== 'object' || Array.isArray(v)) {
+        out.errors.push(`${here}: must be an object`);
+        return undefined;
+      }
+      const result = node.passthrough ? { ...v } : {};
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        const value = check(child, v[key], path ? `${path}.${key}` : key, out);
+        if (value !== undefined) result[key] = value;
+      }
+      return result;
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${node.type}`);
+  }
+}
+
+export function validate(schema, value) {
+  const out = { errors: [], coercions: [] };
+  const result = check(schema, value, '', out);
+  return { value: result, ...out };
+}
+
+// ---- Schemas ----
+
+// /think: the contract spelled out in its system prompt
+export const THINK_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: {
+      type: 'enum',
+      values: ['route', 'activities', 'viewpoints', 'pizza', 'gelato', 'food'],
+      synonyms: {
+        directions: 'route', navigate: 'route', navigation: 'route',
+        activity: 'activities', things_to_do: 'activities',
+        viewpoint: 'viewpoints', view: 'viewpoints', views: 'viewpoints',
+        'ice cream': 'gelato', ice_cream: 'gelato',
+        restaurant: 'food', restaurants: 'food', eat: 'food'
+      }
+    },
+    mode: {
+      type: 'enum',
+      values: ['driving', 'transit'],
+      nullable: true,
+      synonyms: { drive: 'driving', car: 'driving', public_transport: 'transit', 'public transport': 'transit', bus: 'transit', train: 'transit' }
+    },
+    filters: {
+      type: 'object',
+      default: {},
+      properties: {
+        openNow: { type: 'boolean', optional: true },
+        minRating: { type: 'number', min: 0, max: 5, optional: true },
+        keyword: { type: 'string', optional: true }
+      }
+    },
+    destinationText: { type: 'string', nullable: true },
+    subcategory: {
+      type: 'enum',
+      values: ['water', 'hike', 'bike', 'museum', 'park', 'amusement', 'spa', 'kids'],
+      nullable: true,
+      synonyms: { hiking: 'hike', biking: 'bike', cycling: 'bike', museums: 'museum', parks: 'park', amusement_park: 'amusement', children: 'kids', beach: 'water' }
+    }
+  }
+};
+
+// /voice-to-intent
+export const VOICE_INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: {
+      type: 'enum',
+      values: ['ai_recommendations', 'route', 'places', 'weather', 'track_interaction'],
+      synonyms: { recommendations: 'ai_recommendations', recommend: 'ai_recommendations', directions: 'route', navigate: 'route', search: 'places', place: 'places', forecast: 'weather' }
+    },
+    mood: {
+      type: 'enum',
+      values: ['adventurous', 'relaxed', 'social', 'hungry', 'curious', 'romantic'],
+      nullable: true
+    },
+    params: { type: 'object', default: {}, passthrough: true, properties: {
+      timeOfDay: { type: 'string', optional: true },
+      companionType: { type: 'string', optional: true }
+    } },
+    response: { type: 'string', default: '' }
+  }
+};
+
+// /plan-trip
+export const TRIP_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    overview: { type: 'string', default: '' },
+    estimated_cost: { type: 'string', default: '' },
+    activities: {
+      type: 'array',
+      min: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', default: 'activity' },
+          duration_minutes: { type: 'number', min: 5, max: 720, default: 60 },
+          description: { type: 'string', default: '' },
+          priority: { type: 'enum', values: ['high', 'medium', 'low'], default: 'medium' },
+          cost_estimate: { type: 'string', default: '' }
+        }
+      }
+    },
+    tips: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
@@ -0,0 +1,199 @@
+// OpenAI chat-completions client shared by /think, /voice-to-intent and /plan-trip.
+//
+// Modes (LLM_MODE):
+//   live    call OpenAI (default)
+//   record  call OpenAI and save each exchange as a fixture
+//   replay  answer only from recorded fixtures; a missing fixture is an error
+//   mock    answer from recorded fixtures, falling back to <name>/default.json,
+//           so the NLU endpoints work offline and deterministically
+//
+// Fixtures live in <fixturesDir>/<name>/<hash>.json, where hash covers the
+// messages sent (not the model), and hold { request, response: { content, usage } }.
+//
+// While degraded() is true (cost budget exhausted, see lib/costs.js) live and
+// record modes stop calling OpenAI and answer from the last live reply to the
+// same messages (kept in `cache`), a fixture, or <name>/default.json.
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { UpstreamError } from './upstream.js';
+import { validate } from './llm-schema.js';
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+
+// LLM failures are upstream failures from the route's point of view
+export class LLMError extends UpstreamError {
+  constructor(code, message, { status = 502, cause, details } = {}) {
+    super(code, message, { upstream: 'openai', status, cause });
+    this.name = 'LLMError';
+    if (details) this.details = details;
+  }
+}
+
+// How many times the model is asked to fix a reply that fails its schema
+const MAX_REPAIRS = 1;
+// Seconds a live reply stays available for degraded mode
+const REPLY_CACHE_TTL = 86400;
+
+// Map an OpenAI error response to a stable code/status
+function mapApiError(status, error = {}) {
+  const message = error.message || `OpenAI returned ${status}`;
+  if (status === 401 || status === 403) return new LLMError('llm_auth_error', message, { status: 502 });
+  if (status === 429) return new LLMError('llm_rate_limited', message, { status: 429 });
+  if (status === 400) return new LLMError('llm_request_rejected', message, { status: 400 });
+  return new LLMError('llm_upstream_error', message, { status: 502 });
+}
+
+const fixtureHash = (messages) =>
+  createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+
+// fetch:       upstream client fetch bound to 'openai'
+// onUsage:     (name, { model, prompt_tokens, completion_tokens, total_tokens }) after each live call
+// onApiError:  (code) when OpenAI answers with an error body
+// cache:       response cache store (lib/cache-store.js) for replies reused while degraded
+// degraded:    () => boolean, checked before each live call
+export function createLLMClient({
+  fetch,
+  apiKey,
+  model = 'gpt-4o-mini',
+  timeoutMs = 30000,
+  mode = 'live',
+  fixturesDir = './fixtures/llm',
+  logger = console,
+  onUsage = () => {},
+  onApiError = () => {},
+  cache = null,
+  degraded = () => false
+}) {
+  if (!['live', 'record', 'replay', 'mock'].includes(mode)) throw new Error(`Unknown LLM_MODE: ${mode}`);
+
+  const fixtureFile = (name, file) => path.join(fixturesDir, name, file);
+
+  async function readFixture(name, file) {
+    try {
+      return JSON.parse(await fs.readFile(fixtureFile(name, file), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // Reply without calling OpenAI: cached live reply, else fixture, else the default stub
+  async function degradedReply(name, hash) {
+    const entry = await cache?.get(`llm:${name}:${hash}`);
+    if (entry) return { ...entry.value, source: 'cache' };
+    const fixture = await readFixture(name, `${hash}.json`);
+    if (fixture) return { ...fixture.response, source: 'fixture' };
+    const stub = await readFixture(name, 'default.json');
+    if (stub) return { ...stub.response, source: 'stub' };
+    throw new LLMError('llm_budget_exceeded', `${name} is over its cost budget`, { status: 503 });
+  }
+
+  async function callOpenAI(name, messages, { json, temperature, signal }) {
+    if (!apiKey) throw new LLMError('llm_not_configured', 'missing OPENAI_API_KEY', { status: 503 });
+    const r = await fetch(OPENAI_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model,
+        messages,
+        ...(temperature != null && { temperature }),
+        ...(json && { response_format: { type: 'json_object' } })
+      }),
+      timeoutMs,
+      signal
+    });
+    let j;
+    try {
+      j = await r.json();
+    } catch (e) {
+      throw new LLMError('llm_bad_response', `OpenAI returned non-JSON (${r.status})`, { cause: e });
+    }
+    if (!r.ok || j.error) {
+      onApiError(j.error?.code || j.error?.type || String(r.status));
+      throw mapApiError(r.ok ? 502 : r.status, j.error);
+    }
+    const content = j.choices?.[0]?.message?.content;
+    if (!content) throw new LLMError('llm_bad_response', 'bad openai response shape');
+
+    const usage = { model: j.model || model, ...j.usage };
+    logger.info(`LLM ${name}: model=${usage.model} prompt_tokens=${usage.prompt_tokens ?? '?'} completion_tokens=${usage.completion_tokens ?? '?'}`);
+    onUsage(name, usage);
+    return { content, usage };
+  }
+
+  // Run one chat completion.
+  //   name:     fixture namespace and log label ('think', 'voice-intent', 'trip-plan')
+  //   messages: OpenAI chat messages
+  //   json:     request a JSON object response
+  //   signal:   optional AbortSignal to cancel the call
+  // Resolves to { content, usage, source: 'openai' | 'fixture' | 'cache' | 'stub' }
+  async function chat({ name, messages, json = true, temperature, signal }) {
+    const hash = fixtureHash(messages);
+
+    if (mode === 'replay' || mode === 'mock') {
+      const fixture = await readFixture(name, `${hash}.json`)
+        || (mode === 'mock' ? await readFixture(name, 'default.json') : null);
+      if (!fixture) {
+        throw new LLMError('llm_fixture_missing', `No ${name} fixture for request ${hash}`, { status: 503 });
+      }
+      return { ...fixture.response, source: 'fixture' };
+    }
+
+    if (degraded()) {
+      logger.warn(`LLM ${name}: over budget, not calling OpenAI`);
+      return degradedReply(name, hash);
+    }
+
+    const response = await callOpenAI(name, messages, { json, temperature, signal });
+    if (cache) {
+      const expiresAt = Date.now() + REPLY_CACHE_TTL * 1000;
+      await cache.set(`llm:${name}:${hash}`, { value: response, expiresAt, staleUntil: expiresAt }, REPLY_CACHE_TTL);
+    }
+    if (mode === 'record') {
+      const file = fixtureFile(name, `${hash}.json`);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ request: { messages }, response }, null, 2));
+      logger.info(`LLM ${name}: recorded fixture ${hash}`);
+    }
+    return { ...response, source: 'openai' };
+  }
+
+  // Parse and validate a reply against schema (lib/llm-schema.js)
+  function check(content, schema) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      return { errors: ['(root): reply is not valid JSON'] };
+    }
+    return validate(schema, parsed);
+  }
+
+  // chat() for JSON replies that must match a schema. Near-misses are coerced;
+  // otherwise the model gets the validation errors and up to MAX_REPAIRS more
+  // tries before this rejects with llm_invalid_output.
+  // Resolves to { data, usage, source, coercions, repairs }
+  async function chatJSON({ name, messages, schema, temperature, signal }) {
+    let conversation = messages;
+    for (let repairs = 0; ; repairs++) {
+      const reply = await chat({ name, messages: conversation, json: true, temperature, signal });
+      const { value, errors, coercions = [] } = check(reply.content, schema);
+      if (!errors.length) {
+        if (coercions.length) logger.info(`LLM ${name}: coerced ${coercions.join('; ')}`);
+        return { data: value, usage: reply.usage, source: reply.source, coercions, repairs };
+      }
+      logger.warn(`LLM ${name}: invalid output (${errors.join('; ')})`);
+      if (repairs >= MAX_REPAIRS) {
+        throw new LLMError('llm_invalid_output', `${name} reply did not match its schema`, { status: 502, details: errors });
+      }
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: reply.content },
+        { role: 'user', content: `Your reply failed validation:\n- ${errors.join('\n- ')}\nReturn the corrected JSON only.` }
+      ];
+    }
+  }
+
+  return { chat, chatJSON, model, mode };
+}
@@ -0,0 +1,106 @@
+// Prometheus metrics for the proxy (served by GET /metrics).
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'roamwise_' });
+
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const httpRequests = new client.Counter({
+  name: 'roamwise_http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+export const httpDuration = new client.Histogram({
+  name: 'roamwise_http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+export const upstreamRequests = new client.Counter({
+  name: 'roamwise_upstream_requests_total',
+  help: 'Upstream call attempts by outcome (HTTP status, or upstream_timeout / upstream_error / upstream_unavailable)',
+  labelNames: ['upstream', 'outcome'],
+  registers: [registry]
+});
+
+export const upstreamDuration = new client.Histogram({
+  name: 'roamwise_upstream_request_duration_seconds',
+  help: 'Upstream call latency per attempt',
+  labelNames: ['upstream'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+export const upstreamApiErrors = new client.Counter({
+  name: 'roamwise_upstream_api_errors_total',
+  help: 'Errors reported in upstream response bodies (Google status, OpenAI error code)',
+  labelNames: ['upstream', 'status'],
+  registers: [registry]
+});
+
+export const cacheLookups = new client.Counter({
+  name: 'roamwise_cache_lookups_total',
+  help: 'Response cache lookups by cache namespace (weather, places, route, recommendations) and result (hit, stale, miss)',
+  labelNames: ['namespace', 'result'],
+  registers: [registry]
+});
+
+export const rateLimitRejections = new client.Counter({
+  name: 'roamwise_rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [registry]
+});
+
+export const upstreamCost = new client.Counter({
+  name: 'roamwise_upstream_cost_usd_total',
+  help: 'Estimated upstream spend in USD by SKU (see lib/costs.js)',
+  labelNames: ['sku'],
+  registers: [registry]
+});
+
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+// Expose circuit breaker states (0 closed, 1 half-open, 2 open) read from getStates() at scrape time
+export function trackBreakers(getStates) {
+  new client.Gauge({
+    name: 'roamwise_upstream_circuit_state',
+    help: 'Circuit breaker state per upstream: 0 closed, 1 half-open, 2 open',
+    labelNames: ['upstream'],
+    registers: [registry],
+    collect() {
+      for (const [upstream, b] of Object.entries(getStates())) {
+        this.set({ upstream }, BREAKER_STATES[b.state] ?? 0);
+      }
+    }
+  });
+}
+
+// Per-request counters and latency, labelled with the matched route pattern
+// (or "unmatched") to keep label cardinality bounded
+export function metricsMiddleware() {
+  return (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: String(res.statusCode)
+      };
+      end(labels);
+      httpRequests.inc(labels);
+    });
+    next();
+  };
+}
+
+// Hook for createUpstreamClient({ onResult })
+export function recordUpstream(upstream, { outcome, seconds }) {
+  upstreamRequests.inc({ upstream, outcome: String(outcome) });
+  if (seconds != null) upstreamDuration.observe({ upstream }, seconds);
+}
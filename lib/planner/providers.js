@@ -0,0 +1,154 @@
+// Planner providers: the data sources behind /api/plan.
+//
+// Every provider exposes the same three calls:
+//   searchPlaces(query, location, opts)  -> [{ id, name, rating, category, address, lat, lng }]
+//   getWeather(lat, lon, ts)              -> { temp, conditions, humidity, precipitationProbability, windSpeed, source }
+//   getRouteSummary(waypoints, opts)      -> { distance (km), duration (min), polyline, legs }
+// where opts.language (optional) overrides the provider's upstream language
+// and getWeather's source names the weather provider that answered.
+//
+// "live" wraps the same Google Places / Open-Meteo / Directions lookups the
+// /places, /weather and /route endpoints use; "stub" makes no external calls
+// and is meant for tests and local development.
+import { DEFAULT_LOCALE } from '../i18n.js';
+
+// ---- Stub provider (no external API calls) ----
+async function stubSearchPlaces(query, location) {
+  // Stub: return mock places for the query
+  const slug = String(query).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return ['A', 'B', 'C', 'D'].map((suffix, i) => ({
+    id: `stub-${slug}-${i + 1}`,
+    name: `${query} Spot ${suffix}`,
+    rating: 4.5 - i * 0.1,
+    category: i % 2 ? 'restaurant' : 'tourist_attraction',
+    lat: location?.lat,
+    lng: location?.lng
+  }));
+}
+
+async function stubGetWeather(lat, lon, ts) {
+  // Stub: return mock weather
+  return { temp: 22, conditions: 'sunny', humidity: 60, precipitationProbability: 0, windSpeed: 10, source: 'stub-provider' };
+}
+
+async function stubGetRouteSummary(waypoints) {
+  // Stub: return mock route
+  return {
+    distance: waypoints.length * 5,
+    duration: waypoints.length * 15,
+    polyline: 'mock_polyline_stub',
+    legs: waypoints.slice(1).map(() => ({ distance: 5, duration: 15 }))
+  };
+}
+
+export const stubProvider = {
+  name: 'stub',
+  source: { places: 'stub-provider', weather: 'stub-provider', route: 'stub-provider' },
+  searchPlaces: stubSearchPlaces,
+  getWeather: stubGetWeather,
+  getRouteSummary: stubGetRouteSummary
+};
+
+// ---- Live provider ----
+
+// Collapse an hourly Open-Meteo slot into a coarse condition label
+function describeConditions({ precipitation = 0, precipitationProbability = 0, cloudCover = 0 }) {
+  if (precipitation > 0 || precipitationProbability >= 50) return 'rainy';
+  if (cloudCover >= 70) return 'cloudy';
+  if (cloudCover >= 30) return 'partly cloudy';
+  return 'sunny';
+}
+
+// Index of the hourly slot closest to ts; times are ISO strings local to the
+// point (no offset), utcOffsetSeconds ahead of UTC
+function nearestHourIndex(times = [], ts, utcOffsetSeconds = 0) {
+  let best = -1, bestDiff = Infinity;
+  times.forEach((t, i) => {
+    const diff = Math.abs(Date.parse(`${t}Z`) - utcOffsetSeconds * 1000 - ts);
+    if (diff < bestDiff) { best = i; bestDiff = diff; }
+  });
+  return best;
+}
+
+// Build the live provider from the server's upstream lookups:
+//   nearbySearch(params) -> raw Google nearbysearch JSON
+//   forecast(lat, lng)   -> normalized /weather payload, or null on upstream error
+//   directions(params)   -> raw Google Directions JSON
+export function createLiveProvider({ nearbySearch, forecast, directions, language = DEFAULT_LOCALE, radius = 5000 }) {
+  const source = { places: 'google-places', weather: 'open-meteo', route: 'google-directions' };
+  return {
+    name: 'live',
+    source,
+
+    async searchPlaces(query, location, options = {}) {
+      const j = await nearbySearch({
+        lat: location.lat, lng: location.lng, radius, language: options.language || language,
+        type: 'point_of_interest', keyword: query
+      });
+      if (!["OK","ZERO_RESULTS"].includes(j.status)) throw new Error(`Places: ${j.status}`);
+      return (j.results || []).map(x => ({
+        id: x.place_id,
+        name: x.name,
+        rating: x.rating ?? null,
+        category: x.types?.[0] || 'point_of_interest',
+        address: x.vicinity || x.formatted_address || "",
+        lat: x.geometry?.location?.lat,
+        lng: x.geometry?.location?.lng
+      }));
+    },
+
+    async getWeather(lat, lon, ts = Date.now()) {
+      const weather = await forecast(lat, lon);
+      if (!weather) throw new Error('weather upstream error');
+      const h = weather.hourly;
+      const i = nearestHourIndex(h?.time, ts, weather.utcOffsetSeconds || 0);
+      const slot = i >= 0 ? {
+        temp: h.temperature_2m?.[i],
+        precipitation: h.precipitation?.[i],
+        precipitationProbability: h.precipitation_probability?.[i],
+        windSpeed: h.wind_speed_10m?.[i],
+        cloudCover: h.cloud_cover?.[i]
+      } : {
+        temp: weather.current?.temperature_2m,
+        precipitation: weather.current?.precipitation,
+        precipitationProbability: null,
+        windSpeed: weather.current?.wind_speed_10m,
+        cloudCover: null
+      };
+      return {
+        temp: slot.temp ?? null,
+        conditions: describeConditions(slot),
+        humidity: null, // not requested from Open-Meteo
+        precipitationProbability: slot.precipitationProbability ?? null,
+        windSpeed: slot.windSpeed ?? null,
+        source: weather.provenance?.provider || source.weather
+      };
+    },
+
+    async getRouteSummary(waypoints, options = {}) {
+      if (waypoints.length < 2) return { distance: 0, duration: 0, polyline: null, legs: [] };
+      const origin = waypoints[0];
+      const dest = waypoints[waypoints.length - 1];
+      const via = waypoints.slice(1, -1);
+      const j = await directions({ origin, dest, waypoints: via, mode: 'driving', language: options.language || language });
+      if (j.status !== "OK") throw new Error(`Directions: ${j.status}`);
+      const route = j.routes?.[0];
+      const legs = (route?.legs || []).map(leg => ({
+        distance: Math.round((leg.distance?.value || 0) / 100) / 10, // km, 1 decimal
+        duration: Math.round((leg.duration?.value || 0) / 60)        // minutes
+      }));
+      return {
+        distance: Math.round(legs.reduce((sum, l) => sum + l.distance, 0) * 10) / 10,
+        duration: legs.reduce((sum, l) => sum + l.duration, 0),
+        polyline: route?.overview_polyline?.points || null,
+        legs
+      };
+    }
+  };
+}
+
+// Pick a provider by name ("live" | "stub"); unknown names fall back to live
+export function createPlannerProvider(name, deps) {
+  if (name === 'stub') return stubProvider;
+  return createLiveProvider(deps);
+}
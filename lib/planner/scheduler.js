@@ -0,0 +1,147 @@
+// Itinerary scheduler for /api/plan.
+//
+// Turns an ordered list of places plus the travel legs between them into
+// time-slotted days: each day starts at DAY_START, activities follow in order
+// separated by their travel time, and lunch/dinner breaks are slotted in when
+// the clock reaches a meal window (from 30 minutes before its start). A stop
+// that would run past the window moves the meal forward (down to `earliest`)
+// or, before that, right after the stop, so the day never idles waiting for a
+// meal. Meals that don't fit before the end of the day are left out.
+import { DEFAULT_LOCALE, t } from '../i18n.js';
+
+export const MAX_TRIP_DAYS = 14;
+const DAY_START = 9 * 60; // minutes after midnight
+const HOURS_PER_DAY = 8;
+
+const MEALS = [
+  { key: 'plan.lunch', earliest: 11 * 60 + 30, start: 12 * 60 + 30, latest: 14 * 60, duration: 60 },
+  { key: 'plan.dinner', earliest: 18 * 60, start: 19 * 60, latest: 20 * 60 + 30, duration: 75 }
+];
+
+// Typical visit length per Google place type (minutes)
+const VISIT_MINUTES = {
+  amusement_park: 180,
+  museum: 120,
+  zoo: 150,
+  aquarium: 120,
+  park: 90,
+  tourist_attraction: 90,
+  art_gallery: 75,
+  restaurant: 75,
+  cafe: 45,
+  bakery: 30,
+  shopping_mall: 90
+};
+const DEFAULT_VISIT_MINUTES = 60;
+
+// Parse preferences.duration into { days, hoursPerDay }; null when unrecognized.
+// Accepts 'half-day', 'full-day', 'weekend', 'week', '3', '3d', '3 days', '3-day'.
+export function parseTripDuration(duration) {
+  if (duration == null || duration === '') return { days: 1, hoursPerDay: HOURS_PER_DAY };
+  const d = String(duration).trim().toLowerCase();
+  if (d === 'half-day' || d === 'half day') return { days: 1, hoursPerDay: 4 };
+  if (d === 'full-day' || d === 'full day' || d === 'day') return { days: 1, hoursPerDay: HOURS_PER_DAY };
+  if (d === 'weekend') return { days: 2, hoursPerDay: HOURS_PER_DAY };
+  if (d === 'week') return { days: 7, hoursPerDay: HOURS_PER_DAY };
+  const m = d.match(/^(\d{1,3})\s*(?:-?\s*(?:d|days?))?$/);
+  if (!m) return null;
+  return { days: Number(m[1]), hoursPerDay: HOURS_PER_DAY };
+}
+
+// How many stops a trip of this length can reasonably hold
+export function stopsForTrip({ days, hoursPerDay }) {
+  return days * Math.max(1, Math.round(hoursPerDay * 60 / 120));
+}
+
+export function visitMinutes(category) {
+  return VISIT_MINUTES[category] || DEFAULT_VISIT_MINUTES;
+}
+
+const hhmm = (minutes) => {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+const addDays = (date, n) => {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+};
+
+// Build the day-by-day schedule.
+//   places:   [{ id, name, category, address, lat, lng }] in visiting order
+//   legs:     [{ duration (min) }] where legs[i] is the travel into places[i]
+//   days, hoursPerDay: from parseTripDuration
+//   locale:   language of the meal and activity notes (lib/i18n.js)
+// Returns { days: [{ day, date, activities }], unscheduled: [places that did not fit] }
+export function buildSchedule({ places, legs = [], days, hoursPerDay, startDate = new Date(), locale = DEFAULT_LOCALE }) {
+  const out = [];
+  const unscheduled = [];
+  const dayEnd = DAY_START + hoursPerDay * 60;
+  let i = 0;
+
+  for (let day = 0; day < days && i < places.length; day++) {
+    const activities = [];
+    const mealsTaken = new Set();
+    const mealsDeferred = new Set(); // too early to eat before a long stop: eat right after it
+    let clock = DAY_START;
+
+    while (i < places.length) {
+      const place = places[i];
+      const travel = Math.round(legs[i]?.duration || 0);
+      const duration = visitMinutes(place.category);
+
+      // Slot a meal break before this stop when we're in (or would run through) its window
+      for (const meal of MEALS) {
+        const deferred = mealsDeferred.has(meal.key);
+        if (mealsTaken.has(meal.key) || meal.start >= dayEnd || (clock > meal.latest && !deferred)) continue;
+        let start = null;
+        if (deferred || clock >= meal.start - 30) start = clock;
+        else if (clock + travel + duration > meal.latest) {
+          if (clock >= meal.earliest) start = clock;
+          else mealsDeferred.add(meal.key);
+        }
+        if (start !== null) {
+          mealsTaken.add(meal.key);
+          // A meal that would run past the end of the day is dropped
+          if (start + meal.duration > dayEnd) continue;
+          activities.push({
+            type: 'meal',
+            time: hhmm(start),
+            endTime: hhmm(start + meal.duration),
+            duration: meal.duration,
+            notes: t(locale, meal.key)
+          });
+          clock = start + meal.duration;
+        }
+      }
+
+      const start = clock + travel;
+      const end = start + duration;
+      // Doesn't fit: carry over to the next day (always keep at least one stop per day)
+      if (end > dayEnd && activities.some(a => a.type === 'activity')) break;
+
+      activities.push({
+        type: 'activity',
+        time: hhmm(start),
+        endTime: hhmm(end),
+        place: place.name,
+        placeId: place.id,
+        address: place.address,
+        lat: place.lat,
+        lng: place.lng,
+        duration,
+        travelMinutes: travel,
+        notes: t(locale, 'plan.suggested')
+      });
+      clock = end;
+      i++;
+    }
+
+    out.push({ day: day + 1, date: addDays(startDate, day), activities });
+  }
+
+  unscheduled.push(...places.slice(i));
+  return { days: out, unscheduled };
+}
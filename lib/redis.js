@@ -0,0 +1,154 @@
+// Minimal Redis client: the Redis protocol (RESP) over a plain socket, shared
+// by the response cache (lib/cache-store.js) and the Redis storage driver
+// (lib/storage.js). Any Redis-compatible server works.
+//
+// Commands are pipelined on one connection, connected lazily and reconnected
+// on the next command after a close. Errors (including Redis error replies)
+// reject the command; callers decide whether to degrade or fail.
+import net from 'node:net';
+
+// Encode a command as a RESP array of bulk strings
+const encode = (args) => `*${args.length}\r\n` + args.map(a => {
+  const s = String(a);
+  return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+}).join('');
+
+// Parse one RESP reply from buf at offset; returns { value, next } or null if incomplete
+function parseReply(buf, offset = 0) {
+  const end = buf.indexOf('\r\n', offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, end);
+  const next = end + 2;
+  switch (type) {
+    case '+': return { value: line, next };
+    case '-': return { value: new Error(line), next };
+    case ':': return { value: Number(line), next };
+    case '$': {
+      const len = Number(line);
+      if (len === -1) return { value: null, next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), next: next + len + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, next };
+      const items = [];
+      let at = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, at);
+        if (!item) return null;
+        items.push(item.value);
+        at = item.next;
+      }
+      return { value: items, next: at };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+export class RedisClient {
+  // url: redis://[:password@]host[:port][/db]
+  constructor(url, { commandTimeoutMs = 500, logger = console, name = 'Redis' } = {}) {
+    const u = new URL(url);
+    this.host = u.hostname || 'localhost';
+    this.port = Number(u.port) || 6379;
+    this.password = decodeURIComponent(u.password || '');
+    this.db = Number(u.pathname.slice(1)) || 0;
+    this.commandTimeoutMs = commandTimeoutMs;
+    this.logger = logger;
+    this.name = name;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  get connected() {
+    return Boolean(this.socket);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(this.commandTimeoutMs, () => socket.destroy(new Error('Redis connect timed out')));
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          if (this.password) await this.command('AUTH', this.password);
+          if (this.db) await this.command('SELECT', this.db);
+          resolve();
+        } catch (e) {
+          socket.destroy(e);
+          reject(e);
+        }
+      });
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('error', (e) => {
+        this.logger.warn(`${this.name} error: ${e.message}`);
+        if (this.connecting) { this.connecting = null; reject(e); }
+      });
+      socket.on('close', () => {
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        for (const p of this.pending.splice(0)) p.reject(new Error('Redis connection closed'));
+      });
+    });
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let reply;
+    while (this.pending.length && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.next);
+      const p = this.pending.shift();
+      reply.value instanceof Error ? p.reject(reply.value) : p.resolve(reply.value);
+    }
+  }
+
+  // Rejects without queueing when there is no live connection, so no reply
+  // slot is left waiting for a command that was never sent
+  command(...args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket;
+      if (!socket || socket.destroyed || !socket.writable) {
+        return reject(new Error(`Redis ${args[0]} failed: not connected`));
+      }
+      const timer = setTimeout(() => {
+        // A reply may still arrive for this slot; drop the socket it was sent on
+        // (not a newer one from a reconnect) so replies can't misalign
+        reject(new Error(`Redis ${args[0]} timed out`));
+        socket.destroy();
+      }, this.commandTimeoutMs);
+      const entry = {
+        resolve: (v) => { clearTimeout(timer); resolve(v); },
+        reject: (e) => { clearTimeout(timer); reject(e); }
+      };
+      this.pending.push(entry);
+      try {
+        socket.write(encode(args));
+      } catch (e) {
+        const index = this.pending.indexOf(entry);
+        if (index !== -1) this.pending.splice(index, 1);
+        entry.reject(e);
+      }
+    });
+  }
+
+  // command() after connecting if needed
+  async send(...args) {
+    await this.connect();
+    return this.command(...args);
+  }
+
+  close() {
+    this.socket?.end();
+  }
+}
@@ -0,0 +1,610 @@
+// In-process services behind the HTTP routes.
+//
+// /weather, /places, /route and /ai-recommendations are thin wrappers around
+// these functions, and internal callers (/plan-trip, /navigate-trip,
+// /smart-notifications, /voice-to-intent, the planner) call them directly
+// instead of looping back over HTTP, so they share the response cache without
+// going through CORS or the client's rate limits.
+import { UpstreamError } from './upstream.js';
+import { cachedLoader } from './cache-store.js';
+import { randomBytes } from 'node:crypto';
+import { decodePolyline, haversine, samplePath } from './geo.js';
+import { forecastWithFallback } from './weather-providers.js';
+import { toOfflineGeocodeResult, toOfflinePrediction } from './gazetteer.js';
+import { DEFAULT_LOCALE, t } from './i18n.js';
+
+// Google photo references as URLs on our /place-photo proxy, so clients never see GMAPS_KEY
+export const placePhotoUrl = (ref, maxwidth = 400) =>
+  `/place-photo?${new URLSearchParams({ ref, maxwidth: String(maxwidth) })}`;
+
+export const toPhotos = (photos = [], limit = 1, maxwidth = 400) => photos.slice(0, limit).map(p => ({
+  url: placePhotoUrl(p.photo_reference, maxwidth),
+  width: p.width,
+  height: p.height,
+  attributions: p.html_attributions || []
+}));
+
+const toPlaceItem = (x) => ({
+  id:x.place_id, name:x.name, address: x.vicinity || x.formatted_address || "",
+  rating:x.rating, userRatingsTotal:x.user_ratings_total,
+  lat:x.geometry?.location?.lat, lng:x.geometry?.location?.lng,
+  openNow:x.opening_hours?.open_now ?? null,
+  photoUrl: x.photos?.[0] ? placePhotoUrl(x.photos[0].photo_reference) : null
+});
+
+const formatDistance = (m) => m >= 1000 ? `${Math.round(m / 100) / 10} km` : `${m} m`;
+const formatDuration = (s) => {
+  const min = Math.round(s / 60);
+  return min >= 60 ? `${Math.floor(min / 60)} h ${min % 60} min` : `${min} min`;
+};
+
+export const TRAVEL_MODES = ['driving', 'walking', 'transit', 'bicycling'];
+
+// One Directions route reduced to what /route/compare shows side by side
+function toRouteOption(mode, route) {
+  const legs = route.legs || [];
+  const sum = (pick) => legs.reduce((total, leg) => total + (pick(leg)?.value ?? 0), 0);
+  const durationSeconds = sum(leg => leg.duration);
+  const inTraffic = legs.some(leg => leg.duration_in_traffic) ? sum(leg => leg.duration_in_traffic || leg.duration) : null;
+  const transitSteps = legs.flatMap(leg => leg.steps || []).filter(step => step.travel_mode === 'TRANSIT');
+  return {
+    mode,
+    summary: route.summary || transitSteps.map(step => step.transit_details?.line?.short_name || step.transit_details?.line?.name).filter(Boolean).join(' → '),
+    durationSeconds,
+    durationText: legs.length === 1 ? legs[0].duration?.text : formatDuration(durationSeconds),
+    durationInTrafficSeconds: inTraffic,
+    distanceMeters: sum(leg => leg.distance),
+    distanceText: legs.length === 1 ? legs[0].distance?.text : formatDistance(sum(leg => leg.distance)),
+    transfers: mode === 'transit' ? Math.max(0, transitSteps.length - 1) : null,
+    fare: route.fare?.text || null,
+    polyline: route.overview_polyline?.points
+  };
+}
+
+// Seconds each transit transfer is treated as costing when picking a mode
+const TRANSFER_PENALTY = 5 * 60;
+const WALK_PREFERRED = 20 * 60;
+const BIKE_MAX = 45 * 60;
+
+// Pick the option to suggest: walk when it is short, otherwise the quickest
+// of the rest once traffic and transfers are accounted for.
+function recommendMode(options) {
+  const best = (mode) => options[mode]?.routes?.[0];
+  const walk = best('walking');
+  if (walk && walk.durationSeconds <= WALK_PREFERRED) {
+    return { mode: 'walking', routeIndex: 0, reason: 'short_walk' };
+  }
+  const effective = (route) => (route.durationInTrafficSeconds ?? route.durationSeconds) + (route.transfers || 0) * TRANSFER_PENALTY;
+  let pick = null;
+  for (const [mode, option] of Object.entries(options)) {
+    option.routes.forEach((route, routeIndex) => {
+      if (mode === 'walking' || (mode === 'bicycling' && route.durationSeconds > BIKE_MAX)) return;
+      if (!pick || effective(route) < pick.seconds) pick = { mode, routeIndex, seconds: effective(route) };
+    });
+  }
+  if (pick) return { mode: pick.mode, routeIndex: pick.routeIndex, reason: 'fastest' };
+  return walk ? { mode: 'walking', routeIndex: 0, reason: 'only_option' } : null;
+}
+
+// Conditions that mark a point on a route as hazardous
+const HAZARDS = {
+  rain: (h) => h.precipitationProbability >= 60 || h.precipitation >= 2,
+  strong_wind: (h) => h.windSpeed >= 50,
+  heat: (h) => h.temperature >= 35,
+  freezing: (h) => h.temperature <= 0
+};
+const ROUTE_WEATHER_MAX_SAMPLES = 12;
+
+// The hourly forecast slot closest to `at` (ms since epoch), or null when the
+// forecast does not cover it
+function hourlyAt(forecast, at) {
+  const hourly = forecast?.hourly;
+  if (!hourly?.time?.length) return null;
+  const offset = (forecast.utcOffsetSeconds || 0) * 1000;
+  let best = -1, bestGap = Infinity;
+  hourly.time.forEach((t, i) => {
+    const gap = Math.abs(Date.parse(`${t}Z`) - offset - at);
+    if (gap < bestGap) { best = i; bestGap = gap; }
+  });
+  if (bestGap > 90 * 60 * 1000) return null;
+  return {
+    time: hourly.time[best],
+    temperature: hourly.temperature_2m?.[best] ?? null,
+    apparentTemperature: hourly.apparent_temperature?.[best] ?? null,
+    precipitationProbability: hourly.precipitation_probability?.[best] ?? null,
+    precipitation: hourly.precipitation?.[best] ?? null,
+    windSpeed: hourly.wind_speed_10m?.[best] ?? null
+  };
+}
+
+// Local forecast time ("2026-10-19T14:00") to ms since epoch
+const localTime = (forecast, t) => Date.parse(`${t}Z`) - (forecast.utcOffsetSeconds || 0) * 1000;
+
+// Conditions at one end of /weather-compare: the hour at `at`, the highest
+// precipitation probability over the following `hours`, and hours to sunset
+function conditionsAt(forecast, at, hours) {
+  const slot = hourlyAt(forecast, at);
+  const current = Math.abs(at - Date.now()) < 30 * 60 * 1000 ? forecast.current : null;
+  const window = (forecast.hourly?.time || [])
+    .map((t, i) => [localTime(forecast, t), forecast.hourly.precipitation_probability?.[i]])
+    .filter(([ms, p]) => ms >= at - 30 * 60 * 1000 && ms <= at + hours * 3600 * 1000 && p != null)
+    .map(([, p]) => p);
+  const sunset = (forecast.daily?.sunset || []).map(t => localTime(forecast, t)).find(ms => ms > at);
+  return {
+    time: new Date(at).toISOString(),
+    temperature: current?.temperature_2m ?? slot?.temperature ?? null,
+    apparentTemperature: current?.apparent_temperature ?? slot?.apparentTemperature ?? null,
+    windSpeed: current?.wind_speed_10m ?? slot?.windSpeed ?? null,
+    precipitationProbabilityMax: window.length ? Math.max(...window) : null,
+    hoursUntilSunset: sunset != null ? Math.round((sunset - at) / 360000) / 10 : null
+  };
+}
+
+// Thresholds for calling two places' weather different
+const WARMER_BY = 2;   // degrees C
+const WETTER_BY = 20;  // precipitation probability points
+
+// e.g. { codes: ['warmer', 'drier'], text: 'warmer and drier at destination' }
+function weatherVerdict(deltas, language) {
+  const codes = [];
+  if (deltas.temperature >= WARMER_BY) codes.push('warmer');
+  else if (deltas.temperature <= -WARMER_BY) codes.push('colder');
+  if (deltas.precipitationProbabilityMax >= WETTER_BY) codes.push('wetter');
+  else if (deltas.precipitationProbabilityMax <= -WETTER_BY) codes.push('drier');
+  if (!codes.length) return { codes: ['similar'], text: t(language, 'verdict.similar') };
+  const changes = codes.map(c => t(language, `verdict.${c}`)).join(t(language, 'verdict.and'));
+  return { codes, text: t(language, 'verdict.summary', { changes }) };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const PAGE_TOKEN_DELAY_MS = 2000;
+const PAGE_TOKEN_RETRIES = 2;
+const CURSOR_TTL = 300; // seconds a /places cursor stays valid
+
+const distanceFrom = (origin, x) => {
+  const loc = x.geometry?.location;
+  return loc ? Math.round(haversine({ lat: Number(origin.lat), lng: Number(origin.lng) }, loc)) : null;
+};
+
+// Best first by a blend of rating (weighted by how many ratings back it)
+// and closeness within the search radius
+function rankPlaces(items, radius) {
+  const score = (item) => {
+    const confidence = Math.min(1, Math.log10((item.userRatingsTotal || 0) + 1) / 3);
+    const rating = ((item.rating || 0) / 5) * confidence;
+    const closeness = item.distanceMeters == null ? 0 : 1 - Math.min(1, item.distanceMeters / radius);
+    return 0.6 * rating + 0.4 * closeness;
+  };
+  return items
+    .map(item => ({ ...item, score: Math.round(score(item) * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// One Geocoding API result as /geocode returns it
+function toGeocodeResult(r) {
+  const component = (type) => r.address_components?.find(c => c.types?.includes(type));
+  const locality = component('locality') || component('postal_town') || component('administrative_area_level_2');
+  const country = component('country');
+  return {
+    address: r.formatted_address,
+    lat: r.geometry?.location?.lat,
+    lng: r.geometry?.location?.lng,
+    placeId: r.place_id,
+    types: r.types || [],
+    locality: locality?.long_name || null,
+    country: country?.long_name || null,
+    countryCode: country?.short_name || null
+  };
+}
+
+// Map items with at most `limit` calls in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// googleJson(path)   Google Maps call (key appended) resolving to the JSON body
+// weatherProviders   forecast providers in fallback order (lib/weather-providers.js)
+// cache              cache store (lib/cache-store.js)
+// aiEngine           RecommendationEngine
+// recommendationReason(rec, mood, weather, language) -> string
+// gazetteer          optional offline Gazetteer (lib/gazetteer.js) for geocode/autocomplete fallback
+export function createServices({ googleJson, weatherProviders, cache, aiEngine, recommendationReason, gazetteer = null, onCacheLookup, logger = console }) {
+  const cached = (namespace, options, loader) =>
+    cachedLoader(cache, namespace, { ...options, onLookup: onCacheLookup, logger }, loader);
+
+  // Google first; when it fails upstream (quota, outage, no key) answer from
+  // the offline gazetteer instead, if one is loaded. Offline answers are not
+  // cached so Google takes over again as soon as it recovers.
+  const withOffline = (name, online, offline) => async (params, options) => {
+    try {
+      return await online(params, options);
+    } catch (e) {
+      if (!gazetteer || !(e instanceof UpstreamError)) throw e;
+      logger.warn(`${name}: ${e.message}; answering from the offline gazetteer`);
+      return offline(params);
+    }
+  };
+
+  // ---- Raw upstream lookups (uncached) ----
+
+  // Google Places nearbysearch; resolves to the raw Google JSON.
+  // With pageToken (a previous response's next_page_token) the other params are ignored.
+  function nearbySearch({ lat, lng, radius=4500, language=DEFAULT_LOCALE, type='point_of_interest', keyword='', openNow=false, pageToken }) {
+    if (pageToken) return googleJson(`/maps/api/place/nearbysearch/json?${new URLSearchParams({ pagetoken: pageToken })}`);
+    const p = new URLSearchParams({ location:`${lat},${lng}`, radius:String(radius), language, type });
+    if (openNow) p.set("opennow","true");
+    if (keyword) p.set("keyword", keyword);
+    return googleJson(`/maps/api/place/nearbysearch/json?${p}`);
+  }
+
+  // Google Directions; resolves to the raw Google JSON.
+  // optimize lets Google reorder the waypoints (see routes[0].waypoint_order);
+  // alternatives asks for more than one route.
+  function directions({ origin, dest, waypoints=[], optimize=false, alternatives=false, mode='driving', language=DEFAULT_LOCALE }) {
+    const p = new URLSearchParams({ origin: `${origin.lat},${origin.lng}`, destination: `${dest.lat},${dest.lng}`, mode, language, departure_time: "now" });
+    if (alternatives) p.set("alternatives", "true");
+    if (waypoints.length) {
+      const via = waypoints.map(w => `${w.lat},${w.lng}`);
+      p.set("waypoints", (optimize ? ["optimize:true", ...via] : via).join("|"));
+    }
+    return googleJson(`/maps/api/directions/json?${p}`);
+  }
+
+  // ---- Cached services ----
+
+  // Normalized forecast from the first provider that answers, with provenance;
+  // ~1km key precision, stale-while-revalidate for 30 minutes
+  const getWeather = cached('weather', { ttl: 600, swr: 1800, round: 2 }, ({ lat, lng }) =>
+    forecastWithFallback(weatherProviders, { lat, lng }, logger)
+  );
+
+  // Nearby places as /places items; ~100m key precision, stale-while-revalidate for 15 minutes
+  const searchPlaces = cached('places', { ttl: 600, swr: 900, round: 3 }, async ({ lat, lng, openNow=true, radius=4500, language=DEFAULT_LOCALE, type='point_of_interest', keyword='', minRating=0, maxResults=12 }) => {
+    const j = await nearbySearch({ lat, lng, radius, language, type, keyword, openNow });
+    if (!["OK","ZERO_RESULTS"].includes(j.status)) {
+      throw new UpstreamError('upstream_error', `Places: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    return (j.results||[]).filter(x => (x.rating||0) >= minRating).slice(0, maxResults).map(toPlaceItem);
+  });
+
+  // One nearbysearch page as { results: raw Google results, nextPageToken }:
+  // the first page for a query, or a later page by its token. A fresh token
+  // is rejected (INVALID_REQUEST) until Google activates it, so token fetches
+  // wait out PAGE_TOKEN_DELAY_MS from issuedAt and retry while it is pending.
+  const placesPage = cached('places-page', { ttl: 600, swr: 900, round: 3 }, async ({ query, pageToken, issuedAt = 0 }) => {
+    let j;
+    for (let attempt = 0; ; attempt++) {
+      const wait = pageToken ? issuedAt + PAGE_TOKEN_DELAY_MS - Date.now() : 0;
+      if (wait > 0) await sleep(wait);
+      j = await nearbySearch(pageToken ? { pageToken } : query);
+      if (!(pageToken && j.status === "INVALID_REQUEST" && attempt < PAGE_TOKEN_RETRIES)) break;
+      issuedAt = Date.now();
+    }
+    if (!["OK","ZERO_RESULTS"].includes(j.status)) {
+      throw new UpstreamError('upstream_error', `Places: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    return { results: j.results || [], nextPageToken: j.next_page_token || null };
+  });
+
+  // /places: one or more types searched in parallel, merged, deduplicated by
+  // place id and ranked by rating and distance. Items past maxResults and
+  // Google's next page tokens are kept server-side under `nextCursor`; pass it
+  // back as `cursor` (with nothing else) for the next page. Resolves to
+  // { items, nextCursor }, or null when the cursor is unknown or expired.
+  async function searchPlacesPaged({ lat, lng, types=['point_of_interest'], openNow=true, radius=4500, language=DEFAULT_LOCALE, keyword='', minRating=0, maxResults=12, cursor }, { onCache } = {}) {
+    let state;
+    if (cursor) {
+      const entry = await cache.get(`places-cursor:${cursor}`);
+      if (!entry) return null;
+      state = entry.value;
+    } else {
+      state = {
+        query: { lat, lng, radius, language, keyword, openNow, minRating, maxResults },
+        pending: [...new Set(types)].map(type => ({ type })),
+        buffer: [],
+        seen: []
+      };
+    }
+    const { query } = state;
+    const search = { lat: query.lat, lng: query.lng, radius: query.radius, language: query.language, keyword: query.keyword, openNow: query.openNow };
+
+    // Fetch the next Google page of every type with one pending, unless the
+    // buffer already fills this page
+    const statuses = [];
+    if (state.buffer.length < query.maxResults && state.pending.length) {
+      const fetched = await Promise.allSettled(state.pending.map(({ type, token, issuedAt }) =>
+        placesPage(token ? { pageToken: token, issuedAt } : { query: { ...search, type } }, { onCache: st => statuses.push(st) })
+      ));
+      if (fetched.every(f => f.status === 'rejected') && !state.buffer.length) throw fetched[0].reason;
+
+      const seen = new Set(state.seen);
+      const merged = new Map();
+      const pending = [];
+      fetched.forEach((f, i) => {
+        const { type } = state.pending[i];
+        if (f.status === 'rejected') return logger.warn(`Places ${type} page failed: ${f.reason?.message}`);
+        if (f.value.nextPageToken) pending.push({ type, token: f.value.nextPageToken, issuedAt: Date.now() });
+        for (const x of f.value.results) {
+          if (seen.has(x.place_id) || (x.rating || 0) < query.minRating) continue;
+          if (merged.has(x.place_id)) merged.get(x.place_id).matchedTypes.push(type);
+          else merged.set(x.place_id, { ...toPlaceItem(x), distanceMeters: distanceFrom(query, x), matchedTypes: [type] });
+        }
+      });
+      state.pending = pending;
+      state.seen = [...seen, ...merged.keys()];
+      state.buffer = rankPlaces([...state.buffer, ...merged.values()], query.radius);
+    }
+    onCache?.(!statuses.length ? 'HIT' : statuses.every(st => st === statuses[0]) ? statuses[0] : 'PARTIAL');
+
+    const items = state.buffer.slice(0, query.maxResults);
+    state.buffer = state.buffer.slice(query.maxResults);
+    const more = state.buffer.length > 0 || state.pending.length > 0;
+    const id = cursor || (more ? randomBytes(12).toString('base64url') : null);
+    // A drained cursor is saved too, so replaying it returns an empty last page
+    if (id) {
+      const now = Date.now();
+      await cache.set(`places-cursor:${id}`, { value: state, expiresAt: now + CURSOR_TTL * 1000, staleUntil: now + CURSOR_TTL * 1000 }, CURSOR_TTL);
+    }
+    return { items, nextCursor: more ? id : null };
+  }
+
+  // Autocomplete predictions. Identical prefixes (same bias and language)
+  // within a minute share one Google call; the session token is passed as
+  // context so it does not split the cache key.
+  //   location/radius: bias towards a circle; components: e.g. 'country:il'
+  const autocomplete = withOffline('Autocomplete', cached('autocomplete', { ttl: 60, round: 3 }, async ({ input, language=DEFAULT_LOCALE, location, radius, components }, { sessionToken } = {}) => {
+    const p = new URLSearchParams({ input, language });
+    if (location) p.set("location", `${location.lat},${location.lng}`);
+    if (location && radius) p.set("radius", String(radius));
+    if (components) p.set("components", components);
+    if (sessionToken) p.set("sessiontoken", sessionToken);
+    const j = await googleJson(`/maps/api/place/autocomplete/json?${p}`);
+    if (!["OK","ZERO_RESULTS"].includes(j.status)) {
+      throw new UpstreamError('upstream_error', `Autocomplete: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    return j.predictions || [];
+  }), ({ input, location }) => gazetteer.search(input, { near: location }).map(toOfflinePrediction));
+
+  // Geocoding API call; resolves to the first result or null when there is none
+  async function geocodeRequest(params) {
+    const j = await googleJson(`/maps/api/geocode/json?${new URLSearchParams(params)}`);
+    if (j.status === "ZERO_RESULTS") return null;
+    if (j.status !== "OK") {
+      throw new UpstreamError('upstream_error', `Geocode: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    return j.results?.[0] ? toGeocodeResult(j.results[0]) : null;
+  }
+
+  // Address -> location, optionally biased to a region (ccTLD, e.g. 'il') or
+  // bounds ({ southwest: { lat, lng }, northeast: { lat, lng } }). Addresses
+  // rarely move, so results are kept for a day.
+  const geocode = withOffline('Geocode', cached('geocode', { ttl: 86400, round: 4 }, ({ query, language=DEFAULT_LOCALE, region, bounds }) => {
+    const params = { address: query, language };
+    if (region) params.region = region;
+    if (bounds) params.bounds = `${bounds.southwest.lat},${bounds.southwest.lng}|${bounds.northeast.lat},${bounds.northeast.lng}`;
+    return geocodeRequest(params);
+  }), ({ query }) => {
+    const place = gazetteer.lookup(query);
+    return place ? toOfflineGeocodeResult(place) : null;
+  });
+
+  // Location -> address, locality and country; ~10m key precision
+  const reverseGeocode = withOffline('Reverse geocode', cached('reverse-geocode', { ttl: 3600, round: 4 }, ({ lat, lng, language=DEFAULT_LOCALE }) =>
+    geocodeRequest({ latlng: `${lat},${lng}`, language })
+  ), ({ lat, lng }) => {
+    const place = gazetteer.nearest({ lat, lng });
+    return place ? toOfflineGeocodeResult(place) : null;
+  });
+
+  // Geocode many queries, at most `concurrency` at a time. Each item reports
+  // its own status ('ok' | 'not_found' | 'error') instead of failing the batch.
+  function geocodeBatch(queries, { language=DEFAULT_LOCALE, region, bounds, concurrency = 4 } = {}) {
+    return mapLimit(queries, concurrency, async (query) => {
+      try {
+        const result = await geocode({ query, language, region, bounds });
+        return result ? { query, status: 'ok', result } : { query, status: 'not_found', result: null };
+      } catch (e) {
+        return { query, status: 'error', result: null, error: e.message, code: e.code };
+      }
+    });
+  }
+
+  // Route summary as /route returns it; short TTL since it includes live traffic.
+  // With waypoints the route has one leg per hop; optimize reorders the
+  // waypoints and `order` lists them (as indexes into the request's waypoints)
+  // in the sequence they are visited.
+  const getRoute = cached('route', { ttl: 120, round: 4 }, async ({ origin, dest, waypoints=[], optimize=false, mode='driving', language=DEFAULT_LOCALE }) => {
+    const j = await directions({ origin, dest, waypoints, optimize, mode, language });
+    if (j.status !== "OK") {
+      throw new UpstreamError('upstream_error', `Directions: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    const route = j.routes?.[0];
+    const order = route?.waypoint_order?.length === waypoints.length ? route.waypoint_order : waypoints.map((_, i) => i);
+    const stops = [origin, ...order.map(i => waypoints[i]), dest];
+    const legs = (route?.legs || []).map((leg, i) => ({
+      from: stops[i],
+      to: stops[i + 1],
+      startAddress: leg.start_address,
+      endAddress: leg.end_address,
+      distanceMeters: leg.distance?.value ?? 0,
+      distanceText: leg.distance?.text,
+      durationSeconds: (leg.duration_in_traffic || leg.duration)?.value ?? 0,
+      durationText: (leg.duration_in_traffic || leg.duration)?.text
+    }));
+    const total = {
+      distanceMeters: legs.reduce((sum, l) => sum + l.distanceMeters, 0),
+      durationSeconds: legs.reduce((sum, l) => sum + l.durationSeconds, 0)
+    };
+    const single = legs.length === 1 ? legs[0] : null;
+    return {
+      summary: route?.summary,
+      distanceText: single ? single.distanceText : formatDistance(total.distanceMeters),
+      durationText: single ? single.durationText : formatDuration(total.durationSeconds),
+      startAddress: legs[0]?.startAddress,
+      endAddress: legs[legs.length - 1]?.endAddress,
+      polyline: route?.overview_polyline?.points,
+      legs,
+      total,
+      order,
+      stops
+    };
+  });
+
+  // All routes (main + alternatives) for one travel mode, normalized for
+  // comparison. Cached per mode so /route/compare only refetches what expired.
+  // Resolves to [] when Google has no route for the mode.
+  const getRouteOptions = cached('route-options', { ttl: 120, round: 4 }, async ({ origin, dest, mode, language=DEFAULT_LOCALE }) => {
+    const j = await directions({ origin, dest, mode, language, alternatives: true });
+    if (j.status === "ZERO_RESULTS") return [];
+    if (j.status !== "OK") {
+      throw new UpstreamError('upstream_error', `Directions: ${j.status}`, { upstream: 'google', status: 400 });
+    }
+    return (j.routes || []).map(route => toRouteOption(mode, route));
+  });
+
+  // Fetch every mode in parallel and pick one. Resolves to
+  // { options: { [mode]: { status: 'ok' | 'no_route' | 'error', routes } }, recommended }
+  // and rejects only when every mode failed.
+  async function compareRoutes({ origin, dest, modes = TRAVEL_MODES, language=DEFAULT_LOCALE }, { onCache } = {}) {
+    const statuses = [];
+    const lookups = await Promise.allSettled(modes.map(mode =>
+      getRouteOptions({ origin, dest, mode, language }, { onCache: status => statuses.push(status) })
+    ));
+    if (lookups.every(l => l.status === 'rejected')) throw lookups[0].reason;
+    onCache?.(statuses.every(st => st === statuses[0]) ? statuses[0] : 'PARTIAL');
+
+    const options = {};
+    lookups.forEach((lookup, i) => {
+      if (lookup.status === 'rejected') {
+        logger.warn(`Route compare ${modes[i]} failed: ${lookup.reason?.message}`);
+        options[modes[i]] = { status: 'error', error: lookup.reason?.message, routes: [] };
+      } else {
+        options[modes[i]] = { status: lookup.value.length ? 'ok' : 'no_route', routes: lookup.value };
+      }
+    });
+    return { options, recommended: recommendMode(options) };
+  }
+
+  // Forecast along a route: the overview polyline is sampled every intervalKm
+  // and each point gets the hourly forecast for when the traveller should be
+  // there (departure + its share of the total duration). Consecutive hazardous
+  // points are merged into `hazards` segments.
+  // Pass either origin/dest (routed with getRoute) or polyline + durationSeconds.
+  async function routeWeather({ origin, dest, mode='driving', polyline, durationSeconds, departureTime = Date.now(), intervalKm = 10 }) {
+    if (!polyline) {
+      const route = await getRoute({ origin, dest, mode });
+      polyline = route.polyline;
+      durationSeconds = route.total.durationSeconds;
+    }
+    const samples = samplePath(decodePolyline(polyline || ''), intervalKm * 1000, ROUTE_WEATHER_MAX_SAMPLES);
+    if (!samples.length) throw new UpstreamError('upstream_error', 'route has no geometry', { upstream: 'google', status: 502 });
+    const length = samples[samples.length - 1].distanceMeters || 1;
+
+    const forecasts = await Promise.allSettled(samples.map(({ lat, lng }) => getWeather({ lat, lng })));
+    if (forecasts.every(f => f.status === 'rejected')) throw forecasts[0].reason;
+
+    const timeline = samples.map((sample, i) => {
+      const eta = departureTime + durationSeconds * 1000 * (sample.distanceMeters / length);
+      const forecast = forecasts[i].status === 'fulfilled' ? hourlyAt(forecasts[i].value, eta) : null;
+      return {
+        lat: Math.round(sample.lat * 1e5) / 1e5,
+        lng: Math.round(sample.lng * 1e5) / 1e5,
+        distanceKm: Math.round(sample.distanceMeters / 100) / 10,
+        eta: new Date(eta).toISOString(),
+        forecast,
+        hazards: forecast ? Object.keys(HAZARDS).filter(flag => HAZARDS[flag](forecast)) : []
+      };
+    });
+
+    const hazards = [];
+    timeline.forEach((point, i) => {
+      if (!point.hazards.length) return;
+      const open = hazards[hazards.length - 1];
+      if (open && open.toIndex === i - 1) {
+        open.toIndex = i;
+        open.toKm = point.distanceKm;
+        open.flags = [...new Set([...open.flags, ...point.hazards])];
+      } else {
+        hazards.push({ fromIndex: i, toIndex: i, fromKm: point.distanceKm, toKm: point.distanceKm, flags: point.hazards });
+      }
+    });
+
+    return {
+      departure: new Date(departureTime).toISOString(),
+      durationSeconds,
+      distanceKm: Math.round(length / 100) / 10,
+      timeline,
+      hazards
+    };
+  }
+
+  // Origin vs destination weather: both normalized forecasts plus the
+  // conditions now at src and at arrivalTime (ms since epoch, default now) at
+  // dst, their deltas (dst - src) and a verdict in `language`.
+  async function compareWeather({ src, dst, arrivalTime = Date.now(), hours = 6, language = DEFAULT_LOCALE }) {
+    const [from, to] = await Promise.all([getWeather({ lat: src.lat, lng: src.lng }), getWeather({ lat: dst.lat, lng: dst.lng })]);
+    const now = conditionsAt(from, Date.now(), hours);
+    const arrival = conditionsAt(to, arrivalTime, hours);
+    const delta = (key) => now[key] != null && arrival[key] != null ? Math.round((arrival[key] - now[key]) * 10) / 10 : null;
+    const deltas = {
+      temperature: delta('temperature'),
+      apparentTemperature: delta('apparentTemperature'),
+      precipitationProbabilityMax: delta('precipitationProbabilityMax'),
+      hoursUntilSunset: delta('hoursUntilSunset')
+    };
+    return {
+      src: { ...from, conditions: now },
+      dst: { ...to, conditions: arrival },
+      arrivalTime: new Date(arrivalTime).toISOString(),
+      hours,
+      deltas,
+      verdict: weatherVerdict(deltas, language)
+    };
+  }
+
+  // Mood/time/weather-driven recommendations with real places (up to 3 categories x 2 places)
+  const recommend = cached('recommendations', { ttl: 900, round: 3 }, async ({ lat, lng, userId = 'anonymous', mood, timeOfDay, companionType, language = DEFAULT_LOCALE }) => {
+    const weather = await getWeather({ lat, lng }).catch(e => {
+      logger.warn(`Recommendation weather unavailable: ${e.message}`);
+      return null;
+    });
+
+    const recommendations = await aiEngine.getPersonalizedRecommendations(userId, { lat, lng }, {
+      mood,
+      timeOfDay,
+      weather,
+      companionType
+    });
+
+    const lookups = await Promise.allSettled(recommendations.slice(0, 3).map(rec =>
+      searchPlaces({ lat, lng, radius: 2000, type: rec.type, keyword: rec.keyword, openNow: false, maxResults: 2, language })
+    ));
+    // Every lookup failed: surface the error rather than caching an empty answer
+    if (lookups.length && lookups.every(l => l.status === 'rejected')) throw lookups[0].reason;
+
+    const results = [];
+    lookups.forEach((lookup, i) => {
+      const rec = recommendations[i];
+      if (lookup.status === 'rejected') return logger.error('Recommendation error:', lookup.reason);
+      if (!lookup.value.length) return;
+      results.push({
+        category: rec.type,
+        reason: recommendationReason(rec, mood, weather, language),
+        places: lookup.value
+      });
+    });
+
+    return { recommendations: results, context: { mood, weather: weather?.current } };
+  });
+
+  return { nearbySearch, directions, getWeather, searchPlaces, searchPlacesPaged, autocomplete, geocode, reverseGeocode, geocodeBatch, getRoute, getRouteOptions, compareRoutes, routeWeather, compareWeather, recommend };
+}
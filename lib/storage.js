@@ -0,0 +1,306 @@
+// Key/value storage for user profiles, trips and recommendation behavior.
+//
+// Stores are organised as collections of JSON records:
+//   get(collection, key) -> record | null
+//   set(collection, key, record)
+//   delete(collection, key) -> boolean
+//   keys(collection) -> string[]
+//   lock(collection, key, fn) -> fn()'s result, holding a lock shared by every
+//                                instance on the same backend (optional)
+//
+// MemoryStore is per-process (tests, local dev). FileStore keeps one JSON file
+// per record under STORAGE_DIR, so it survives restarts and can be shared by
+// several instances through a mounted volume. RedisStore keeps one hash per
+// collection in Redis (STORAGE_URL), for deployments without a shared volume.
+import { promises as fs } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import path from 'node:path';
+import { RedisClient } from './redis.js';
+
+const LOCK_TTL_MS = 10000; // a lock older than this is considered abandoned by a crashed holder
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const lockTimeout = (collection, key) => new Error(`Timed out waiting for the lock on ${collection}/${key}`);
+
+export class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  // Records are cloned in and out so callers can't mutate stored state by reference
+  async get(collection, key) {
+    const value = this.collection(collection).get(key);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async set(collection, key, value) {
+    this.collection(collection).set(key, structuredClone(value));
+  }
+
+  async delete(collection, key) {
+    return this.collection(collection).delete(key);
+  }
+
+  async keys(collection) {
+    return [...this.collection(collection).keys()];
+  }
+}
+
+export class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  file(collection, key) {
+    return path.join(this.dir, collection, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(collection, key) {
+    try {
+      return JSON.parse(await fs.readFile(this.file(collection, key), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // Write to a temp file and rename so readers never see a half-written record
+  async set(collection, key, value) {
+    const file = this.file(collection, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value));
+    await fs.rename(tmp, file);
+  }
+
+  async delete(collection, key) {
+    try {
+      await fs.unlink(this.file(collection, key));
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+  }
+
+  async keys(collection) {
+    try {
+      const files = await fs.readdir(path.join(this.dir, collection));
+      return files.filter(f => f.endsWith('.json')).map(f => decodeURIComponent(f.slice(0, -5)));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  // Lock file next to the record holding the owner's token, created by
+  // link() so it appears complete or not at all. A stale lock (older than
+  // LOCK_TTL_MS) is taken over, and locks are only ever removed by
+  // removeFileLock, which checks the token
+  async lock(collection, key, fn) {
+    const file = `${this.file(collection, key)}.lock`;
+    const token = randomBytes(16).toString('hex');
+    const tmp = `${file}.${token}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmp, token);
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    try {
+      for (;;) {
+        try {
+          await fs.link(tmp, file);
+          break;
+        } catch (e) {
+          if (e.code !== 'EEXIST') throw e;
+        }
+        const held = await readFileLock(file);
+        if (held && Date.now() - held.mtimeMs > LOCK_TTL_MS) {
+          await removeFileLock(file, held.token);
+          continue;
+        }
+        if (Date.now() >= deadline) throw lockTimeout(collection, key);
+        await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+      }
+    } finally {
+      await fs.unlink(tmp).catch(() => {});
+    }
+    try {
+      return await fn();
+    } finally {
+      await removeFileLock(file, token).catch(() => {});
+    }
+  }
+}
+
+// { token, mtimeMs } of a lock file, read through one handle so both come from
+// the same file even if the lock changes hands meanwhile; null if there is none
+async function readFileLock(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+    const [stat, token] = await Promise.all([handle.stat(), handle.readFile('utf8')]);
+    return { token, mtimeMs: stat.mtimeMs };
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Delete a lock file only if it holds `token`. The lock is first renamed aside
+// (atomic, so only one caller gets it); one that turns out to belong to someone
+// else is linked back, which can't overwrite a lock created in between
+async function removeFileLock(file, token) {
+  const aside = `${file}.${randomBytes(8).toString('hex')}.old`;
+  try {
+    await fs.rename(file, aside);
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+  const held = await fs.readFile(aside, 'utf8').catch(() => null);
+  if (held !== token) await fs.link(aside, file).catch(() => {});
+  await fs.unlink(aside).catch(() => {});
+  return held === token;
+}
+
+// Deletes the lock only if it still holds our token (it may have expired and been taken over)
+const RELEASE_LOCK = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+export class RedisStore {
+  // url: redis://[:password@]host[:port][/db]
+  constructor(url, { prefix = 'rw:store:', commandTimeoutMs = 2000, logger = console } = {}) {
+    this.client = new RedisClient(url, { commandTimeoutMs, logger, name: 'Redis storage' });
+    this.prefix = prefix;
+    this.logger = logger;
+  }
+
+  hash(collection) {
+    return `${this.prefix}${collection}`;
+  }
+
+  async get(collection, key) {
+    const raw = await this.client.send('HGET', this.hash(collection), key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(collection, key, value) {
+    await this.client.send('HSET', this.hash(collection), key, JSON.stringify(value));
+  }
+
+  async delete(collection, key) {
+    return (await this.client.send('HDEL', this.hash(collection), key)) === 1;
+  }
+
+  async keys(collection) {
+    return this.client.send('HKEYS', this.hash(collection));
+  }
+
+  // SET NX with an expiry, so a crashed holder can't block the key for good
+  async lock(collection, key, fn) {
+    const name = `${this.prefix}lock:${collection}:${key}`;
+    const token = randomBytes(16).toString('hex');
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    while ((await this.client.send('SET', name, token, 'PX', LOCK_TTL_MS, 'NX')) !== 'OK') {
+      if (Date.now() >= deadline) throw lockTimeout(collection, key);
+      await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+    }
+    try {
+      return await fn();
+    } finally {
+      await this.client.send('EVAL', RELEASE_LOCK, 1, name, token)
+        .catch(e => this.logger.warn(`Releasing ${name} failed: ${e.message}`));
+    }
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+// driver: memory | file (dir) | redis (url)
+export function createStore({ driver = 'file', dir = './data', url, logger } = {}) {
+  if (driver === 'memory') return new MemoryStore();
+  if (driver === 'file') return new FileStore(dir);
+  if (driver === 'redis') {
+    if (!url) throw new Error('STORAGE_DRIVER=redis needs STORAGE_URL (redis://...)');
+    return new RedisStore(url, { logger });
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+// A collection whose records carry a schemaVersion and are upgraded on read.
+//   create()        -> a fresh record at the current version
+//   migrations[n]   -> upgrades a record from version n-1 to n (unversioned records are version 0)
+export class VersionedCollection {
+  constructor(store, name, { version, create, migrations = {} }) {
+    this.store = store;
+    this.name = name;
+    this.version = version;
+    this.create = () => ({ ...create(), schemaVersion: version });
+    this.migrations = migrations;
+    this.locks = new Map();
+  }
+
+  migrate(record) {
+    let current = record.schemaVersion || 0;
+    if (current > this.version) {
+      throw new Error(`${this.name} record has schemaVersion ${current}, newer than supported ${this.version}`);
+    }
+    while (current < this.version) {
+      current++;
+      const step = this.migrations[current];
+      if (!step) throw new Error(`No ${this.name} migration to schemaVersion ${current}`);
+      record = { ...step(record), schemaVersion: current };
+    }
+    return record;
+  }
+
+  async get(key) {
+    const record = await this.store.get(this.name, key);
+    return record ? this.migrate(record) : null;
+  }
+
+  async getOrCreate(key) {
+    return (await this.get(key)) || this.create();
+  }
+
+  async has(key) {
+    return (await this.store.get(this.name, key)) !== null;
+  }
+
+  async set(key, record) {
+    await this.store.set(this.name, key, { ...record, schemaVersion: this.version });
+  }
+
+  async keys() {
+    return this.store.keys(this.name);
+  }
+
+  // Read-modify-write, serialized per key within this process and, for stores
+  // with lock() (file, redis), across instances sharing the store.
+  // fn may mutate the record in place or return a replacement.
+  async update(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const modify = async () => {
+      const record = await this.getOrCreate(key);
+      const next = (await fn(record)) || record;
+      await this.set(key, next);
+      return next;
+    };
+    const run = previous.catch(() => {}).then(() => (this.store.lock ? this.store.lock(this.name, key, modify) : modify()));
+    this.locks.set(key, run);
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(key) === run) this.locks.delete(key);
+    }
+  }
+}
@@ -0,0 +1,156 @@
+// Weather suitability: how good each hour of a forecast is for an activity.
+//
+// Scores run 0-100 and start from 100; each profile below subtracts for
+// conditions the activity dislikes and lists why in `reasons` (cold, hot,
+// rain, wind, cloud, dark). Indoor activities gain points when outdoor
+// conditions are poor. Works on the normalized /weather payload
+// (lib/weather-providers.js), whichever provider served it.
+
+export const ACTIVITIES = {
+  beach:     { idealTemp: [24, 32], rainTolerance: 20, windMax: 30, cloudMax: 60, daylight: true, minHours: 2 },
+  hike:      { idealTemp: [10, 26], rainTolerance: 30, windMax: 40, cloudMax: 100, daylight: true, minHours: 3 },
+  park:      { idealTemp: [16, 29], rainTolerance: 30, windMax: 35, cloudMax: 100, daylight: true, minHours: 1 },
+  museum:    { indoor: true, minHours: 2 },
+  viewpoint: { idealTemp: [8, 32], rainTolerance: 20, windMax: 45, cloudMax: 40, daylight: true, minHours: 1 },
+  water:     { idealTemp: [22, 33], rainTolerance: 15, windMax: 25, cloudMax: 80, daylight: true, minHours: 2 }
+};
+
+export const GOOD_SCORE = 60;
+export const POOR_SCORE = 40;
+
+// Trip/plan activity types onto the categories above (null: weather does not matter)
+const TYPE_CATEGORIES = {
+  beach: 'beach', hike: 'hike', hiking: 'hike', trail: 'hike', nature: 'hike', adventure: 'hike',
+  outdoor: 'park', park: 'park', garden: 'park', relaxation: 'park',
+  museum: 'museum', culture: 'museum', gallery: 'museum', art: 'museum',
+  viewpoint: 'viewpoint', view: 'viewpoint', sightseeing: 'viewpoint',
+  water: 'water', swimming: 'water', kayak: 'water', boat: 'water'
+};
+
+export const categoryForType = (type) => TYPE_CATEGORIES[String(type || '').toLowerCase()] || null;
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+// Hourly slots of a forecast as [{ at (ms), time, temperature, precipitationProbability,
+// precipitation, windSpeed, cloudCover, daylight (true/false, null if unknown) }]
+export function forecastHours(forecast) {
+  const h = forecast?.hourly;
+  if (!h?.time?.length) return [];
+  const offset = (forecast.utcOffsetSeconds || 0) * 1000;
+  const toMs = (t) => Date.parse(`${t}Z`) - offset;
+  const days = (forecast.daily?.time || []).map((date, i) => ({
+    date,
+    sunrise: forecast.daily.sunrise?.[i] ? toMs(forecast.daily.sunrise[i]) : null,
+    sunset: forecast.daily.sunset?.[i] ? toMs(forecast.daily.sunset[i]) : null
+  }));
+  return h.time.map((time, i) => {
+    const at = toMs(time);
+    const day = days.find(d => d.date === time.slice(0, 10));
+    return {
+      at,
+      time,
+      temperature: h.temperature_2m?.[i] ?? null,
+      precipitationProbability: h.precipitation_probability?.[i] ?? null,
+      precipitation: h.precipitation?.[i] ?? null,
+      windSpeed: h.wind_speed_10m?.[i] ?? null,
+      cloudCover: h.cloud_cover?.[i] ?? null,
+      daylight: day?.sunrise != null && day?.sunset != null ? at >= day.sunrise && at < day.sunset : null
+    };
+  });
+}
+
+// Penalties and reasons for outdoor conditions against a profile
+function outdoorPenalty(profile, slot) {
+  let penalty = 0;
+  const reasons = [];
+  const [low, high] = profile.idealTemp;
+  if (slot.temperature != null && slot.temperature < low) {
+    penalty += Math.min(50, (low - slot.temperature) * 5);
+    reasons.push('cold');
+  } else if (slot.temperature != null && slot.temperature > high) {
+    penalty += Math.min(50, (slot.temperature - high) * 6);
+    reasons.push('hot');
+  }
+  const rainChance = Math.max(slot.precipitationProbability ?? 0, slot.precipitation > 0.2 ? 80 : 0);
+  if (rainChance > profile.rainTolerance) {
+    penalty += Math.min(60, (rainChance - profile.rainTolerance) * 0.9);
+    reasons.push('rain');
+  }
+  if (slot.windSpeed != null && slot.windSpeed > profile.windMax) {
+    penalty += Math.min(40, (slot.windSpeed - profile.windMax) * 2);
+    reasons.push('wind');
+  }
+  if (slot.cloudCover != null && slot.cloudCover > profile.cloudMax) {
+    penalty += Math.min(25, (slot.cloudCover - profile.cloudMax) * 0.5);
+    reasons.push('cloud');
+  }
+  if (profile.daylight && slot.daylight === false) {
+    penalty += 60;
+    reasons.push('dark');
+  }
+  return { penalty, reasons };
+}
+
+// Score one hourly slot for an activity category: { score, reasons }
+export function scoreHour(activity, slot) {
+  const profile = ACTIVITIES[activity];
+  if (!profile) throw new Error(`Unknown activity "${activity}"`);
+  if (profile.indoor) {
+    // Indoors is a fine choice any time, and the better one when it is poor outside
+    const { penalty, reasons } = outdoorPenalty(ACTIVITIES.park, { ...slot, daylight: null });
+    return { score: clamp(70 + penalty / 2), reasons: reasons.length ? ['poor_outdoor'] : [] };
+  }
+  const { penalty, reasons } = outdoorPenalty(profile, slot);
+  return { score: clamp(100 - penalty), reasons };
+}
+
+// Runs of consecutive hours scoring at least GOOD_SCORE and lasting the
+// activity's minHours, best average first. start/end are forecast-local times.
+function goodWindows(hours, minHours) {
+  const windows = [];
+  let run = [];
+  const close = () => {
+    if (run.length >= minHours) {
+      windows.push({
+        start: run[0].time,
+        end: new Date(Date.parse(`${run[run.length - 1].time}Z`) + 3600 * 1000).toISOString().slice(0, 16),
+        hours: run.length,
+        score: Math.round(run.reduce((sum, h) => sum + h.score, 0) / run.length)
+      });
+    }
+    run = [];
+  };
+  for (const hour of hours) {
+    if (hour.score >= GOOD_SCORE) run.push(hour);
+    else close();
+  }
+  close();
+  return windows.sort((a, b) => b.score - a.score || a.start.localeCompare(b.start));
+}
+
+// Score every requested activity over `hours` hours from `from` (ms):
+// { [activity]: { hours: [{ time, score, reasons }], windows, best } }
+// where best is the top window or null.
+export function scoreForecast(forecast, { activities = Object.keys(ACTIVITIES), from = Date.now(), hours = 24 } = {}) {
+  const slots = forecastHours(forecast).filter(s => s.at >= from - 3600 * 1000 && s.at < from + hours * 3600 * 1000);
+  const result = {};
+  for (const activity of activities) {
+    const scored = slots.map(slot => ({ at: slot.at, time: slot.time, ...scoreHour(activity, slot) }));
+    const windows = goodWindows(scored, ACTIVITIES[activity].minHours);
+    result[activity] = {
+      hours: scored.map(({ time, score, reasons }) => ({ time, score, reasons })),
+      windows,
+      best: windows[0] || null
+    };
+  }
+  return result;
+}
+
+// Score for one activity at one moment (the nearest forecast hour), or null
+// when the forecast does not cover it
+export function scoreAt(forecast, activity, at = Date.now()) {
+  const slot = forecastHours(forecast)
+    .filter(s => Math.abs(s.at - at) <= 90 * 60 * 1000)
+    .sort((a, b) => Math.abs(a.at - at) - Math.abs(b.at - at))[0];
+  return slot ? { time: slot.time, ...scoreHour(activity, slot) } : null;
+}
@@ -0,0 +1,205 @@
+// Shared client for every outbound call (Google Maps, OpenAI, Open-Meteo, MET Norway, backend-v2).
+//
+// Each named upstream gets its own timeout, retry budget and circuit breaker:
+//   - timeouts abort the call and surface as upstream_timeout (504)
+//   - idempotent calls (GET/HEAD/OPTIONS, or idempotent: true) are retried with
+//     jittered exponential backoff on network errors, timeouts, 429 and 5xx
+//   - after `failureThreshold` consecutive failures the breaker opens and calls
+//     fail fast with upstream_unavailable (503) until `resetTimeoutMs` passes;
+//     the next call is a half-open trial that closes or re-opens the breaker
+//   - json() calls also take a classify(body) hook for failures reported in a
+//     2xx body (Google's OVER_QUERY_LIMIT, UNKNOWN_ERROR...); those count
+//     towards the breaker and are retried like 5xx
+
+export const UPSTREAMS = {
+  google: { timeoutMs: 8000, retries: 2 },
+  openai: { timeoutMs: 30000, retries: 0 },
+  openMeteo: { timeoutMs: 5000, retries: 2 },
+  metNorway: { timeoutMs: 5000, retries: 1 },
+  backendV2: { timeoutMs: 10000, retries: 1 }
+};
+
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'OPTIONS']);
+const RETRY_BASE_MS = 200;
+const RETRY_MAX_MS = 2000;
+
+export class UpstreamError extends Error {
+  constructor(code, message, { upstream, status = 502, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.upstream = upstream;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go out now; moves open -> half_open once the reset timeout passes
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // A call let through by allow() ended without an outcome (e.g. the caller cancelled)
+  abandon() {
+    this.trialInFlight = false;
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const backoff = (attempt) => Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+const retryableStatus = (status) => status === 429 || status >= 500;
+
+// fetch: the underlying fetch implementation
+// upstreams: per-name { timeoutMs, retries, failureThreshold, resetTimeoutMs }
+// logger: anything with warn(message)
+// onResult: (name, { outcome, seconds }) after every attempt; outcome is the HTTP status, error code
+// or the failure classify() reported
+export function createUpstreamClient({ fetch, upstreams = UPSTREAMS, logger = console, onResult = () => {} }) {
+  const breakers = new Map();
+  const breaker = (name) => {
+    if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(upstreams[name]));
+    return breakers.get(name);
+  };
+
+  // One attempt with its own timeout; an outer options.signal still cancels it
+  async function attempt(name, url, options, timeoutMs) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+    try {
+      return await fetch(url, { ...options, signal });
+    } catch (e) {
+      if (options.signal?.aborted) throw e; // caller cancelled; not an upstream fault
+      if (timeout.aborted) {
+        throw new UpstreamError('upstream_timeout', `${name} timed out after ${timeoutMs}ms`, { upstream: name, status: 504, cause: e });
+      }
+      // e.message embeds the URL (and Google's key); surface only the error code
+      throw new UpstreamError('upstream_error', `${name} request failed (${e.code || e.type || e.name})`, { upstream: name, status: 502, cause: e });
+    }
+  }
+
+  // Response body as JSON; an unreadable body is an upstream fault
+  async function readJson(name, r) {
+    try {
+      return await r.json();
+    } catch (e) {
+      const code = e.name === 'AbortError' ? 'upstream_timeout' : 'upstream_error';
+      throw new UpstreamError(code, `${name} sent an unreadable response (${e.name})`, { upstream: name, status: code === 'upstream_timeout' ? 504 : 502, cause: e });
+    }
+  }
+
+  // Drop-in fetch: resolves to the upstream Response (including non-2xx once
+  // retries are exhausted) or rejects with an UpstreamError.
+  // Extra options: timeoutMs, idempotent.
+  // read (json() only): (response) -> { value, failure } where failure is a
+  // code for an application-level failure, or null
+  async function request(name, url, { timeoutMs, idempotent, ...options } = {}, read = null) {
+    const config = upstreams[name] || {};
+    const b = breaker(name);
+    const method = (options.method || 'GET').toUpperCase();
+    const retries = (idempotent ?? IDEMPOTENT.has(method)) ? (config.retries || 0) : 0;
+    const limit = timeoutMs || config.timeoutMs || 10000;
+
+    for (let i = 0; ; i++) {
+      if (!b.allow()) {
+        onResult(name, { outcome: 'upstream_unavailable', seconds: null });
+        throw new UpstreamError('upstream_unavailable', `${name} is temporarily unavailable`, { upstream: name, status: 503 });
+      }
+      let r, error, result = null;
+      const started = Date.now();
+      try {
+        r = await attempt(name, url, options, limit);
+        if (read && !retryableStatus(r.status)) result = await read(r);
+      } catch (e) {
+        if (!(e instanceof UpstreamError)) {
+          b.abandon();
+          throw e;
+        }
+        // An unreadable 4xx body comes from our request, not a failing upstream:
+        // it must not trip the breaker for every caller
+        if (r && r.status < 500) {
+          onResult(name, { outcome: r.status, seconds: (Date.now() - started) / 1000 });
+          b.success();
+          throw e;
+        }
+        error = e;
+      }
+      const failure = result?.failure || null;
+      const outcome = error ? error.code : failure || r.status;
+      onResult(name, { outcome, seconds: (Date.now() - started) / 1000 });
+      const failed = error || failure || retryableStatus(r.status);
+      if (!failed) {
+        b.success();
+        return read ? result.value : r;
+      }
+      // 429 is the upstream pushing back, not being down: retry it but don't trip the breaker
+      if (error || failure || r.status >= 500) b.failure(); else b.success();
+      if (i >= retries) {
+        if (error) throw error;
+        return read ? (result ? result.value : readJson(name, r)) : r;
+      }
+      logger.warn(`Upstream ${name} ${outcome}, retry ${i + 1}/${retries}`);
+      // Drain the discarded response so its connection is released now, not at GC
+      if (r && !r.bodyUsed) await r.arrayBuffer().catch(() => {});
+      await sleep(backoff(i));
+    }
+  }
+
+  return {
+    fetch: request,
+    // Parsed JSON body; classify(body) returns a failure code for a body that
+    // reports an application-level failure, or null. Once retries are
+    // exhausted the last body is returned as is.
+    json: (name, url, { classify = () => null, ...options } = {}) => request(name, url, options, async (r) => {
+      const value = await readJson(name, r);
+      return { value, failure: r.ok ? classify(value) || null : null };
+    }),
+    // fetch bound to one upstream name, for code that takes a plain fetch
+    for: (name) => (url, options) => request(name, url, options),
+    breakerStates: () => Object.fromEntries(
+      Object.keys(upstreams).map(name => [name, breaker(name).toJSON()])
+    )
+  };
+}
@@ -0,0 +1,189 @@
+// Weather providers behind /weather.
+//
+// Every provider resolves forecast({ lat, lng }) to the shape /weather emits:
+//   { current, hourly, daily, units, utcOffsetSeconds }
+// with Open-Meteo's field names (temperature_2m, precipitation_probability,
+// wind_speed_10m in km/h, ...) and hourly/daily times local to the point.
+// Fields a provider has no data for are null.
+import { UpstreamError } from './upstream.js';
+
+const FORECAST_PARAMS = {
+  current: ["temperature_2m","apparent_temperature","precipitation","wind_speed_10m","is_day"].join(","),
+  hourly: ["temperature_2m","apparent_temperature","precipitation_probability","precipitation","wind_speed_10m","cloud_cover"].join(","),
+  daily: ["temperature_2m_max","temperature_2m_min","precipitation_sum","sunrise","sunset"].join(","),
+  timezone: "auto"
+};
+
+// Shape one Open-Meteo forecast the way /weather returns it
+function normalizeOpenMeteo(j) {
+  return {
+    current: j.current || null,
+    hourly: j.hourly ? {
+      time: j.hourly.time,
+      temperature_2m: j.hourly.temperature_2m,
+      apparent_temperature: j.hourly.apparent_temperature,
+      precipitation_probability: j.hourly.precipitation_probability,
+      precipitation: j.hourly.precipitation,
+      wind_speed_10m: j.hourly.wind_speed_10m,
+      cloud_cover: j.hourly.cloud_cover
+    } : null,
+    daily: j.daily ? {
+      time: j.daily.time,
+      temperature_2m_max: j.daily.temperature_2m_max,
+      temperature_2m_min: j.daily.temperature_2m_min,
+      precipitation_sum: j.daily.precipitation_sum,
+      sunrise: j.daily.sunrise,
+      sunset: j.daily.sunset
+    } : null,
+    units: j.daily_units || j.hourly_units || {},
+    utcOffsetSeconds: j.utc_offset_seconds ?? 0 // hourly/daily times are local to the point
+  };
+}
+
+// fetch: the openMeteo upstream fetch
+export function createOpenMeteoProvider({ fetch }) {
+  return {
+    name: 'open-meteo',
+    async forecast({ lat, lng }) {
+      const params = new URLSearchParams({ latitude: String(lat), longitude: String(lng), ...FORECAST_PARAMS });
+      const r = await fetch(`https://api.open-meteo.com/v1/forecast?${params.toString()}`);
+      if (!r.ok) throw new UpstreamError('upstream_error', 'weather upstream error', { upstream: 'openMeteo', status: 502 });
+      return normalizeOpenMeteo(await r.json());
+    }
+  };
+}
+
+const round1 = (n) => n == null ? null : Math.round(n * 10) / 10;
+const MET_UNITS = {
+  time: 'iso8601',
+  temperature_2m: '°C',
+  precipitation: 'mm',
+  precipitation_probability: '%',
+  wind_speed_10m: 'km/h',
+  cloud_cover: '%',
+  temperature_2m_max: '°C',
+  temperature_2m_min: '°C',
+  precipitation_sum: 'mm'
+};
+
+// Offset (seconds) of an IANA time zone from UTC at instant ms
+const zoneFormats = new Map();
+function zoneOffsetSeconds(timeZone, ms) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  const name = zoneFormats.get(timeZone).formatToParts(ms).find(p => p.type === 'timeZoneName')?.value || '';
+  const m = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 3600 + Number(m[3]) * 60) : 0;
+}
+
+// "YYYY-MM-DDTHH:MM" local time of a UTC ISO timestamp
+const localTime = (iso, offsetAt) => {
+  const ms = Date.parse(iso);
+  return new Date(ms + offsetAt(ms) * 1000).toISOString().slice(0, 16);
+};
+
+// MET Norway locationforecast (UTC, wind in m/s) mapped onto the Open-Meteo
+// shape, with times shifted to the point's local time (offsetAt(ms) -> seconds)
+// and days bucketed by local date, as Open-Meteo does with timezone=auto.
+// Only the hourly part of the series is kept; MET has no apparent temperature
+// or sunrise/sunset, and precipitation probability only where it publishes one.
+function normalizeMetNorway(j, offsetAt) {
+  const series = (j.properties?.timeseries || []).filter(e => e.data?.next_1_hours);
+  const times = series.map(e => localTime(e.time, offsetAt));
+  const hour = (e) => e.data.next_1_hours.details || {};
+  const instant = (e) => e.data.instant?.details || {};
+  const hourly = {
+    time: times,
+    temperature_2m: series.map(e => instant(e).air_temperature ?? null),
+    apparent_temperature: series.map(() => null),
+    precipitation_probability: series.map(e => hour(e).probability_of_precipitation ?? null),
+    precipitation: series.map(e => hour(e).precipitation_amount ?? null),
+    wind_speed_10m: series.map(e => round1(instant(e).wind_speed != null ? instant(e).wind_speed * 3.6 : null)),
+    cloud_cover: series.map(e => instant(e).cloud_area_fraction ?? null)
+  };
+
+  const days = new Map();
+  times.forEach((time, i) => {
+    const date = time.slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(i);
+  });
+  const over = (indexes, key) => indexes.map(i => hourly[key][i]).filter(v => v != null);
+  const daily = {
+    time: [...days.keys()],
+    temperature_2m_max: [...days.values()].map(ix => over(ix, 'temperature_2m').length ? Math.max(...over(ix, 'temperature_2m')) : null),
+    temperature_2m_min: [...days.values()].map(ix => over(ix, 'temperature_2m').length ? Math.min(...over(ix, 'temperature_2m')) : null),
+    precipitation_sum: [...days.values()].map(ix => round1(over(ix, 'precipitation').reduce((sum, v) => sum + v, 0))),
+    sunrise: [...days.keys()].map(() => null),
+    sunset: [...days.keys()].map(() => null)
+  };
+
+  const now = series[0];
+  return {
+    current: now ? {
+      time: times[0],
+      temperature_2m: hourly.temperature_2m[0],
+      apparent_temperature: null,
+      precipitation: hourly.precipitation[0],
+      wind_speed_10m: hourly.wind_speed_10m[0],
+      is_day: null
+    } : null,
+    hourly: series.length ? hourly : null,
+    daily: series.length ? daily : null,
+    units: MET_UNITS,
+    utcOffsetSeconds: offsetAt(now ? Date.parse(now.time) : Date.now())
+  };
+}
+
+// fetch:      the metNorway upstream fetch
+// userAgent:  MET's terms require an identifying User-Agent with contact info
+// timeZoneAt: ({ lat, lng }) -> IANA time zone or null; without one the offset
+//             is estimated from the longitude (15° per hour, no DST)
+export function createMetNorwayProvider({ fetch, userAgent, timeZoneAt = () => null }) {
+  return {
+    name: 'met-norway',
+    async forecast({ lat, lng }) {
+      // MET rejects coordinates with more than 4 decimals
+      const params = new URLSearchParams({ lat: Number(lat).toFixed(4), lon: Number(lng).toFixed(4) });
+      const r = await fetch(`https://api.met.no/weatherapi/locationforecast/2.0/complete?${params}`, {
+        headers: { 'User-Agent': userAgent, 'Accept': 'application/json' }
+      });
+      if (!r.ok) throw new UpstreamError('upstream_error', 'weather upstream error', { upstream: 'metNorway', status: 502 });
+      const timeZone = timeZoneAt({ lat, lng });
+      const offsetAt = timeZone ? (ms) => zoneOffsetSeconds(timeZone, ms) : () => Math.round(lng / 15) * 3600;
+      return normalizeMetNorway(await r.json(), offsetAt);
+    }
+  };
+}
+
+const WEATHER_PROVIDERS = {
+  'open-meteo': createOpenMeteoProvider,
+  'met-norway': createMetNorwayProvider
+};
+
+// Build providers in fallback order from names ('open-meteo', 'met-norway');
+// deps maps each name to its options ({ 'open-meteo': { fetch }, 'met-norway': { fetch, userAgent } })
+export function createWeatherProviders(names, deps) {
+  return names.map(name => {
+    const create = WEATHER_PROVIDERS[name];
+    if (!create) throw new Error(`Unknown weather provider "${name}" (expected one of: ${Object.keys(WEATHER_PROVIDERS).join(', ')})`);
+    return create(deps[name]);
+  });
+}
+
+// Try each provider in order until one answers. The result carries
+// provenance: { provider, fallback, failed: [{ provider, code }] }.
+export async function forecastWithFallback(providers, params, logger = console) {
+  const failed = [];
+  for (const provider of providers) {
+    try {
+      const forecast = await provider.forecast(params);
+      return { ...forecast, provenance: { provider: provider.name, fallback: failed.length > 0, failed } };
+    } catch (e) {
+      logger.warn(`Weather provider ${provider.name} failed: ${e.message}`);
+      failed.push({ provider: provider.name, code: e.code || 'error' });
+    }
+  }
+  throw new UpstreamError('upstream_error', 'weather upstream error', { upstream: providers.map(p => p.name).join(','), status: 502 });
+}
@@ -4,6 +4,8 @@ import fetch from 'node-fetch';
 import pino from 'pino';
 import pinoHttp from 'pino-http';
 import { nanoid } from 'nanoid';
+import { BACKEND_ROUTES, mountBackendRoutes } from './lib/backend-routes.js';
+import { createUpstreamClient } from './lib/upstream.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -16,6 +18,9 @@ const PLACES_SERVICE_URL = process.env.PLACES_SERVICE_URL || '';
 // Logger
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+// Upstream client (timeouts, retries, circuit breakers)
+const upstream = createUpstreamClient({ fetch, logger });
+
 function reqId(req) {
   return req.headers['x-request-id'] || `rw_${nanoid(12)}`;
 }
@@ -38,25 +43,6 @@ app.use(pinoHttp({
   })
 }));
 
-// Helper to forward requests with request ID
-async function forwardRequest(url, options = {}, req, res) {
-  const rid = res.getHeader('x-request-id') || req.headers['x-request-id'] || `rw_${nanoid(12)}`;
-
-  const headers = {
-    'content-type': 'application/json',
-    'x-request-id': rid,
-    ...(options.headers || {})
-  };
-
-  const r = await fetch(url, {
-    method: options.method || 'GET',
-    headers,
-    body: options.body ? JSON.stringify(options.body) : undefined,
-  });
-
-  return r;
-}
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -66,72 +52,17 @@ app.get('/health', (req, res) => {
       backend_v2: !!BACKEND_V2_URL,
       personalai: !!PERSONALAI_URL,
       places: !!PLACES_SERVICE_URL
-    }
+    },
+    upstreams: { backendV2: upstream.breakerStates().backendV2 }
   });
 });
 
-// Backend-v2 pass-through handlers
-app.post('/api/route', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await forwardRequest(
-      `${BACKEND_V2_URL}/api/route`,
-      { method: 'POST', body: req.body || {} },
-      req,
-      res
-    );
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    req.log.error({ err: error, endpoint: '/api/route' }, 'Backend-v2 route error');
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
-
-app.get('/api/hazards', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const qs = new URLSearchParams(req.query).toString();
-    const r = await forwardRequest(
-      `${BACKEND_V2_URL}/api/hazards?${qs}`,
-      { method: 'GET' },
-      req,
-      res
-    );
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    req.log.error({ err: error, endpoint: '/api/hazards' }, 'Backend-v2 hazards error');
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
-
-app.all('/api/profile', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await forwardRequest(
-      `${BACKEND_V2_URL}/api/profile`,
-      {
-        method: req.method,
-        headers: { cookie: req.headers.cookie || '' },
-        body: req.method === 'PUT' ? req.body || {} : undefined,
-      },
-      req,
-      res
-    );
-    const setCookie = r.headers.get('set-cookie');
-    if (setCookie) res.setHeader('set-cookie', setCookie);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    req.log.error({ err: error, endpoint: '/api/profile' }, 'Backend-v2 profile error');
-    res.status(502).json({ ok: false, code: 'backend_error' });
+// Backend-v2 pass-through handlers (route table shared with server.js)
+mountBackendRoutes(app, {
+  baseUrl: BACKEND_V2_URL,
+  fetch: upstream.for('backendV2'),
+  onError: (req, error, route) => {
+    req.log.error({ err: error, endpoint: route.path }, 'Backend-v2 error');
   }
 });
 
@@ -141,7 +72,7 @@ app.get('/', (req, res) => {
     ok: true,
     service: 'roamwise-proxy-minimal',
     version: '1.0.0',
-    endpoints: ['/health', '/api/route', '/api/hazards', '/api/profile']
+    endpoints: ['/health', ...BACKEND_ROUTES.map(r => r.path)]
   });
 });
 
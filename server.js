@@ -6,9 +6,26 @@ import fetch from "node-fetch";
 import rateLimit from "express-rate-limit";
 import compression from "compression";
 import helmet from "helmet";
-import NodeCache from "node-cache";
-import { body, validationResult } from "express-validator";
+import { body, query, validationResult } from "express-validator";
 import winston from "winston";
+import { createPlannerProvider } from "./lib/planner/providers.js";
+import { buildSchedule, parseTripDuration, stopsForTrip, MAX_TRIP_DAYS } from "./lib/planner/scheduler.js";
+import { createStore, VersionedCollection } from "./lib/storage.js";
+import { mountBackendRoutes } from "./lib/backend-routes.js";
+import { createUpstreamClient, UpstreamError } from "./lib/upstream.js";
+import { createCacheStore } from "./lib/cache-store.js";
+import { createServices, TRAVEL_MODES, toPhotos } from "./lib/services.js";
+import { ByteCache } from "./lib/byte-cache.js";
+import { createAutocompleteSessions } from "./lib/autocomplete-sessions.js";
+import { createApiKeys, consumeQuota, keyFromRequest, routeClass, tokenMatches, validQuotas } from "./lib/api-keys.js";
+import { Gazetteer, OFFLINE_SOURCE, toOfflineGeocodeResult } from "./lib/gazetteer.js";
+import { createWeatherProviders } from "./lib/weather-providers.js";
+import { ACTIVITIES, GOOD_SCORE, POOR_SCORE, categoryForType, scoreAt, scoreForecast } from "./lib/suitability.js";
+import { createLLMClient } from "./lib/llm.js";
+import { THINK_SCHEMA, VOICE_INTENT_SCHEMA, TRIP_PLAN_SCHEMA } from "./lib/llm-schema.js";
+import { createCostTracker, DEFAULT_PRICES, GOOGLE_BILLABLE_STATUSES } from "./lib/costs.js";
+import { DEFAULT_LOCALE, LANGUAGE_NAMES, resolveLocale, t } from "./lib/i18n.js";
+import { registry, metricsMiddleware, recordUpstream, trackBreakers, upstreamApiErrors, upstreamCost, cacheLookups, rateLimitRejections } from "./lib/metrics.js";
 
 const app = express();
 
@@ -42,54 +59,160 @@ const logger = winston.createLogger({
   ]
 });
 
+// ---- Persistent storage (STORAGE_DRIVER=file|redis|memory) ----
+// Production needs storage that survives restarts and is shared by every
+// instance: STORAGE_DRIVER=redis with STORAGE_URL, or file with STORAGE_DIR on
+// a persistent volume mounted by all instances. Anything else refuses to start.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+if (process.env.NODE_ENV === 'production') {
+  const problem = !process.env.STORAGE_DRIVER ? 'STORAGE_DRIVER is not set'
+    : STORAGE_DRIVER === 'memory' ? 'STORAGE_DRIVER=memory loses data on restart'
+    : STORAGE_DRIVER === 'file' && !process.env.STORAGE_DIR ? 'STORAGE_DRIVER=file needs STORAGE_DIR on a persistent volume'
+    : null;
+  if (problem) {
+    logger.error(`${problem}; set STORAGE_DRIVER=redis (STORAGE_URL) or file (STORAGE_DIR on a shared persistent volume)`);
+    process.exit(1);
+  }
+}
+const store = createStore({
+  driver: STORAGE_DRIVER,
+  dir: process.env.STORAGE_DIR || './data',
+  url: process.env.STORAGE_URL,
+  logger
+});
+if (STORAGE_DRIVER === 'memory') logger.warn('STORAGE_DRIVER=memory: profiles and trips are lost on restart');
+
+// Used by the services in lib/services.js and for API key quota counters; responses
+// carry X-Cache: HIT | STALE | MISS (PARTIAL when one response combines lookups with
+// different results)
+const cache = createCacheStore({ url: process.env.CACHE_URL, stdTTL: 300, logger });
+const cacheHeader = (res) => (status) => res.set('X-Cache', status);
+
+// CORS: limit to your GitHub Pages origin(s)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "").split(",").map(s=>s.trim()).filter(Boolean);
+app.use(cors({
+  origin: (origin, cb) => {
+    if (!origin || ALLOWED_ORIGINS.length===0) return cb(null, true);
+    return ALLOWED_ORIGINS.includes(origin) ? cb(null, true) : cb(new Error("Not allowed by CORS"));
+  },
+  exposedHeaders: ['X-Request-ID', 'X-Cache', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+    'X-Quota-Class', 'X-Quota-Daily-Limit', 'X-Quota-Daily-Remaining', 'X-Quota-Daily-Reset', 'Retry-After']
+}));
+
+// ---- Client API keys (see lib/api-keys.js) ----
+// Keys are required in production (API_KEYS_REQUIRED=false opts out) and
+// optional elsewhere unless API_KEYS_REQUIRED=true. Keyed requests count
+// against their key's quotas per route class instead of the per-IP limits
+// below. Keys are managed via /admin/api-keys.
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED
+  ? process.env.API_KEYS_REQUIRED === 'true'
+  : process.env.NODE_ENV === 'production';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const apiKeys = createApiKeys(store, { pepper: process.env.API_KEY_PEPPER || '' });
+const KEYLESS_PATHS = ['/', '/health', '/metrics'];
+// Loaded by <img> tags, which can't send a key; still counted against a key
+// that is sent, and limited per IP otherwise
+const KEY_OPTIONAL_PATHS = ['/place-photo'];
+// Paths compared the way Express routes them: case-insensitive, trailing slash optional
+const routedPath = (req) => req.path.toLowerCase().replace(/(.)\/$/, '$1');
+const keyless = (req) => KEYLESS_PATHS.includes(routedPath(req)) || routedPath(req).startsWith('/admin/api-keys');
+const keyOptional = (req) => !API_KEYS_REQUIRED || KEY_OPTIONAL_PATHS.includes(routedPath(req));
+if (API_KEYS_REQUIRED && !ADMIN_TOKEN) logger.warn('API keys required without ADMIN_TOKEN: no way to issue keys');
+if (!API_KEYS_REQUIRED && process.env.NODE_ENV === 'production') {
+  logger.warn('API_KEYS_REQUIRED=false in production: keyless clients only face the per-IP limits');
+}
+
+const authenticateApiKey = async (req, res, next) => {
+  if (keyless(req)) return next();
+  const key = keyFromRequest(req);
+  if (!key && keyOptional(req)) return next();
+  try {
+    req.apiKey = key ? await apiKeys.verify(key) : null;
+    if (req.apiKey) return next();
+    res.status(401).json(key
+      ? { ok: false, code: 'invalid_api_key', error: 'Invalid, expired or revoked API key' }
+      : { ok: false, code: 'api_key_required', error: 'API key required (x-api-key header)' });
+  } catch (e) { next(e); }
+};
+
+// Per-minute and daily quota of the key for the route's class, reported in
+// X-RateLimit-* / X-Quota-Daily-* headers; 429 with Retry-After once exhausted
+const enforceKeyQuota = async (req, res, next) => {
+  const className = req.apiKey && routeClass(req.path);
+  if (!className) return next();
+  try {
+    const quota = await consumeQuota(cache, req.apiKey.keyId, className, req.apiKey.quotas[className]);
+    res.set({
+      'X-Quota-Class': className,
+      'X-RateLimit-Limit': quota.minute.limit,
+      'X-RateLimit-Remaining': quota.minute.remaining,
+      'X-RateLimit-Reset': quota.minute.reset,
+      'X-Quota-Daily-Limit': quota.day.limit,
+      ...(quota.day.remaining !== null && { 'X-Quota-Daily-Remaining': quota.day.remaining }),
+      'X-Quota-Daily-Reset': quota.day.reset
+    });
+    if (quota.allowed) return next();
+    rateLimitRejections.inc({ limiter: `key_${className}` });
+    const reset = quota[quota.window].reset;
+    res.set('Retry-After', Math.max(1, reset - Math.floor(Date.now() / 1000)));
+    res.status(429).json({
+      ok: false,
+      code: 'quota_exceeded',
+      error: quota.window === 'day' ? `Daily ${className} quota exceeded` : `Too many ${className} requests`,
+      routeClass: className,
+      window: quota.window,
+      resetAt: new Date(reset * 1000).toISOString()
+    });
+  } catch (e) { next(e); }
+};
+
 // Rate limiting with different tiers
-const createRateLimit = (windowMs, max, message) => rateLimit({
+const createRateLimit = (name, windowMs, max, message) => rateLimit({
   windowMs,
   max,
   message: { ok: false, error: message },
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => req.ip === '127.0.0.1' // Skip localhost
+  // Keyed requests have their own quotas; localhost is only exempt outside production
+  skip: (req) => Boolean(req.apiKey) || (process.env.NODE_ENV !== 'production' && req.ip === '127.0.0.1'),
+  handler: (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter: name });
+    res.status(options.statusCode).send(options.message);
+  }
 });
 
-// Different rate limits for different endpoints
-const generalLimit = createRateLimit(15 * 60 * 1000, 100, "Too many requests");
-const aiLimit = createRateLimit(60 * 1000, 10, "Too many AI requests");
-const searchLimit = createRateLimit(60 * 1000, 30, "Too many search requests");
+// Failed key checks per IP, counted before the key is verified so guessing
+// keys is throttled (and costs no storage reads once over the limit); requests
+// that pass authentication don't count
+const authFailureLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { ok: false, code: 'too_many_auth_failures', error: 'Too many failed API key attempts' },
+  standardHeaders: false,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  skip: (req) => keyless(req) || (keyOptional(req) && !keyFromRequest(req)),
+  handler: (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter: 'auth_failure' });
+    res.status(options.statusCode).send(options.message);
+  }
+});
 
-// Apply general rate limiting
-app.use(generalLimit);
+// Different rate limits for different endpoints
+const generalLimit = createRateLimit('general', 15 * 60 * 1000, 100, "Too many requests");
+const aiLimit = createRateLimit('ai', 60 * 1000, 10, "Too many AI requests");
+const searchLimit = createRateLimit('search', 60 * 1000, 30, "Too many search requests");
 
-// In-memory cache system
-const cache = new NodeCache({ 
-  stdTTL: 300, // 5 minutes default
-  checkperiod: 60, // Check for expired keys every minute
-  useClones: false // Better performance
-});
+// Request counts and latency per route (see /metrics)
+app.use(metricsMiddleware());
 
-// Cache middleware generator
-const cacheMiddleware = (ttl = 300) => (req, res, next) => {
-  const key = `${req.method}:${req.originalUrl}:${JSON.stringify(req.body)}`;
-  const cached = cache.get(key);
-  
-  if (cached) {
-    logger.info(`Cache hit: ${key}`);
-    return res.json(cached);
-  }
-  
-  // Store original json method
-  const originalJson = res.json;
-  res.json = function(body) {
-    // Cache successful responses only
-    if (body.ok) {
-      cache.set(key, body, ttl);
-      logger.info(`Cached response: ${key}`);
-    }
-    return originalJson.call(this, body);
-  };
-  
-  next();
-};
+// Throttle failed key checks, resolve the client's API key, then apply
+// general rate limiting (keyless clients) or the key's quota
+app.use(authFailureLimit);
+app.use(authenticateApiKey);
+app.use(generalLimit);
+app.use(enforceKeyQuota);
 
 // Request validation middleware
 const validateRequest = (validations) => [
@@ -120,6 +243,7 @@ app.use((req, res, next) => {
   res.setHeader('X-Request-ID', req.id);
   logger.info(`[${req.id}] ${req.method} ${req.originalUrl}`, {
     ip: req.ip,
+    clientId: req.apiKey?.clientId,
     userAgent: req.get('User-Agent')
   });
   next();
@@ -128,47 +252,116 @@ app.use((req, res, next) => {
 app.use(express.json({ limit:'1mb' }));
 app.use(morgan("combined", { stream: { write: message => logger.info(message.trim()) } }));
 
+// Locale for user-facing text and upstream `language` params (see lib/i18n.js)
+app.use((req, res, next) => {
+  req.locale = resolveLocale(req);
+  res.set('Content-Language', req.locale);
+  next();
+});
+
+// Attribute upstream costs to this request's client (API key), user and route.
+// The user (body userId) is client-chosen, so it is only kept for keyed requests.
+// Registered after the body parser, which does not keep async context.
+app.use((req, res, next) => costs.run(() => ({
+  client: req.apiKey?.clientId || 'anonymous',
+  user: req.apiKey && req.body?.userId != null ? String(req.body.userId).slice(0, 100) : null,
+  route: req.route ? req.route.path : req.path
+}), () => {
+  if (routeClass(req.path) === 'ai' && costs.overBudget()) res.set('X-Degraded', 'cost-budget');
+  next();
+}));
+
 // Environment
 const GMAPS_KEY = process.env.GMAPS_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!GMAPS_KEY) { console.error("Missing GMAPS_KEY env"); process.exit(1); }
+if (!GMAPS_KEY) logger.warn("GMAPS_KEY not set: Google Maps routes fail; geocode/autocomplete use the offline gazetteer");
+
+// Offline gazetteer (GeoNames format) backing geocode/autocomplete when Google is unavailable
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE || './geodata/IL.txt';
+let gazetteer = null;
+try {
+  gazetteer = Gazetteer.load(GAZETTEER_FILE);
+  logger.info(`Gazetteer: ${gazetteer.size} places from ${GAZETTEER_FILE}`);
+} catch (e) {
+  logger.warn(`Gazetteer not loaded (${e.message}); no offline geocoding fallback`);
+}
 
-// CORS: limit to your GitHub Pages origin(s)
-const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "").split(",").map(s=>s.trim()).filter(Boolean);
-app.use(cors({
-  origin: (origin, cb) => {
-    if (!origin || ALLOWED_ORIGINS.length===0) return cb(null, true);
-    return ALLOWED_ORIGINS.includes(origin) ? cb(null, true) : cb(new Error("Not allowed by CORS"));
+// Upstream cost accounting (see lib/costs.js). Once COST_BUDGET_DAILY_USD (whole
+// proxy) or COST_BUDGET_CLIENT_DAILY_USD (per client) is spent for the UTC day,
+// AI routes answer from cached or stub replies. COST_PRICES (JSON, USD per unit)
+// overrides the list prices.
+let costPrices = DEFAULT_PRICES;
+try {
+  costPrices = { ...DEFAULT_PRICES, ...JSON.parse(process.env.COST_PRICES || '{}') };
+} catch (e) {
+  logger.warn(`COST_PRICES is not valid JSON (${e.message}); using list prices`);
+}
+const budgetEnv = (name) => (process.env[name] ? Number(process.env[name]) : null);
+const costs = createCostTracker({
+  prices: costPrices,
+  budgets: { daily: budgetEnv('COST_BUDGET_DAILY_USD'), clientDaily: budgetEnv('COST_BUDGET_CLIENT_DAILY_USD') },
+  onRecord: (sku, cost) => upstreamCost.inc({ sku }, cost)
+});
+
+// Upstream client: per-provider timeouts, retries and circuit breakers
+const upstream = createUpstreamClient({ fetch, logger, onResult: recordUpstream });
+trackBreakers(upstream.breakerStates);
+const googleFetch = upstream.for('google');
+const openaiFetch = upstream.for('openai');
+
+// Weather providers in fallback order: WEATHER_PROVIDERS=open-meteo,met-norway (see lib/weather-providers.js)
+const weatherProviders = createWeatherProviders(
+  (process.env.WEATHER_PROVIDERS || 'open-meteo,met-norway').split(',').map(s => s.trim()).filter(Boolean),
+  {
+    'open-meteo': { fetch: upstream.for('openMeteo') },
+    'met-norway': {
+      fetch: upstream.for('metNorway'),
+      userAgent: process.env.WEATHER_USER_AGENT || 'roamwise-proxy/1.1 github.com/GalSened/RoamWise',
+      timeZoneAt: (point) => gazetteer?.timeZoneAt(point) || null
+    }
   }
-}));
+);
+
+// LLM client: OPENAI_MODEL, OPENAI_TIMEOUT_MS, LLM_MODE=live|record|replay|mock (see lib/llm.js)
+const llm = createLLMClient({
+  fetch: openaiFetch,
+  apiKey: OPENAI_API_KEY,
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS) || 30000,
+  mode: process.env.LLM_MODE || 'live',
+  fixturesDir: process.env.LLM_FIXTURES_DIR || './fixtures/llm',
+  logger,
+  onUsage: costs.recordUsage,
+  onApiError: (code) => upstreamApiErrors.inc({ upstream: 'openai', status: code }),
+  cache,
+  degraded: costs.overBudget
+});
 
 // Helpers
-const g = (u) => `https://maps.googleapis.com${u}${u.includes("?") ? "&" : "?"}key=${GMAPS_KEY}`;
+const g = (u) => {
+  if (!GMAPS_KEY) throw new UpstreamError('upstream_not_configured', 'GMAPS_KEY not set', { upstream: 'google', status: 503 });
+  return `https://maps.googleapis.com${u}${u.includes("?") ? "&" : "?"}key=${GMAPS_KEY}`;
+};
+// Google Maps call + JSON body; error statuses (OVER_QUERY_LIMIT, REQUEST_DENIED...) are counted in /metrics,
+// answered ones are billed (lib/costs.js). Google reports overload in HTTP 200 bodies, so those statuses
+// count as upstream failures: retried and tripping the breaker
+const GOOGLE_FAILURE_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+const googleJson = async (u, { signal } = {}) => {
+  const url = g(u);
+  const j = await upstream.json('google', url, {
+    signal,
+    classify: (body) => (GOOGLE_FAILURE_STATUSES.includes(body.status) ? body.status : null)
+  });
+  if (GOOGLE_BILLABLE_STATUSES.includes(j.status)) costs.recordGoogle(url);
+  else if (j.status) upstreamApiErrors.inc({ upstream: 'google', status: j.status });
+  return j;
+};
 const ok = (res, data) => res.json({ ok:true, ...data });
 const err = (res, code, msg) => res.status(code).json({ ok:false, error: msg });
-
-// ---- Provider Stubs (no external API calls) ----
-async function stubSearchPlaces(query, location) {
-  // Stub: return mock places for the query
-  return [
-    { id: 'place-1', name: `${query} Spot A`, rating: 4.5, category: 'attraction' },
-    { id: 'place-2', name: `${query} Spot B`, rating: 4.2, category: 'restaurant' }
-  ];
-}
-
-async function stubGetWeather(lat, lon, ts) {
-  // Stub: return mock weather
-  return { temp: 22, conditions: 'sunny', humidity: 60 };
-}
-
-async function stubGetRouteSummary(waypoints) {
-  // Stub: return mock route
-  return {
-    distance: waypoints.length * 5,
-    duration: waypoints.length * 15,
-    polyline: 'mock_polyline_stub'
-  };
-}
+// Catch-all for route handlers: upstream failures keep their code/status, anything else is a 500
+const fail = (res, e) => e instanceof UpstreamError
+  ? res.status(e.status).json({ ok:false, code: e.code, error: e.message, upstream: e.upstream, ...(e.details && { details: e.details }) })
+  : err(res, 500, String(e));
 
 // ---- Guardrails Middleware ----
 const MAX_INTERESTS = 50;
@@ -206,12 +399,29 @@ function plannerGuardrails(req, res, next) {
       });
     }
 
+    // Check duration is one we can schedule
+    const tripLength = parseTripDuration(preferences.duration);
+    if (!tripLength) {
+      return res.status(422).json({
+        ok: false,
+        code: 'duration_invalid',
+        message: 'duration must be half-day, full-day, weekend, week or a number of days'
+      });
+    }
+    if (tripLength.days < 1 || tripLength.days > MAX_TRIP_DAYS) {
+      return res.status(422).json({
+        ok: false,
+        code: 'duration_out_of_bounds',
+        message: `Trip must be 1-${MAX_TRIP_DAYS} days`
+      });
+    }
+
     // Normalize coordinates to 6 decimals for cache deduplication
     startLocation.lat = Number(startLocation.lat.toFixed(6));
     startLocation.lng = Number(startLocation.lng.toFixed(6));
 
     // Attach sanitized payload
-    req.planPayload = { preferences, startLocation };
+    req.planPayload = { preferences, startLocation, tripLength };
     next();
   } catch (error) {
     logger.error(`[${req.id}] Guardrails check failed:`, error);
@@ -223,100 +433,228 @@ function plannerGuardrails(req, res, next) {
   }
 }
 
+// Photo URLs from lib/services.js are /place-photo paths on this proxy; clients
+// on another origin need them absolute. PUBLIC_BASE_URL (the proxy's public
+// origin, e.g. behind a TLS-terminating load balancer) wins over the request's
+// own protocol and host.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const publicOrigin = (req) => PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+const absoluteUrl = (req, url) => (url?.startsWith('/') ? `${publicOrigin(req)}${url}` : url);
+const withPhotoUrls = (req, places = []) => places.map(place => ({ ...place, photoUrl: absoluteUrl(req, place.photoUrl) }));
+const withRecommendationPhotos = (req, result) => ({
+  ...result,
+  recommendations: result.recommendations.map(rec => ({ ...rec, places: withPhotoUrls(req, rec.places) }))
+});
+
 // ---- /places ---- (Enhanced with caching and validation)
+// types[] searches several place types at once; results are merged, deduplicated
+// and ranked. A nextCursor in the response fetches the next page via { cursor }.
 app.post("/places", 
   searchLimit,
-  cacheMiddleware(600), // Cache for 10 minutes
   validateRequest([
-    body('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
-    body('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+    body('cursor').optional().isString().isLength({ min: 8, max: 64 }).withMessage('Invalid cursor'),
+    body('lat').if(body('cursor').not().exists()).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+    body('lng').if(body('cursor').not().exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
     body('radius').optional().isInt({ min: 100, max: 50000 }).withMessage('Radius must be 100-50000m'),
-    body('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be 0-5')
+    body('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be 0-5'),
+    body('maxResults').optional().isInt({ min: 1, max: 60 }).withMessage('maxResults must be 1-60'),
+    body('types').optional().isArray({ min: 1, max: 5 }).withMessage('types must be an array of 1-5 place types'),
+    body('types.*').optional().isString().matches(/^[a-z_]+$/).withMessage('Invalid place type')
   ]),
   asyncHandler(async (req, res) => {
-    const { lat, lng, openNow=true, radius=4500, language='he', type='point_of_interest', keyword='', minRating=0, maxResults=12 } = req.body || {};
-    logger.info(`[${req.id}] Places search: ${lat},${lng} radius:${radius}`);
-    const p = new URLSearchParams({ location:`${lat},${lng}`, radius:String(radius), language, type });
-    if (openNow) p.set("opennow","true");
-    if (keyword) p.set("keyword", keyword);
-    const r = await fetch(g(`/maps/api/place/nearbysearch/json?${p}`));
-    const j = await r.json();
-    if (!["OK","ZERO_RESULTS"].includes(j.status)) return err(res, 400, `Places: ${j.status}`);
-    const items = (j.results||[]).filter(x => (x.rating||0) >= minRating).slice(0, maxResults).map(x => ({
-      id:x.place_id, name:x.name, address: x.vicinity || x.formatted_address || "",
-      rating:x.rating, userRatingsTotal:x.user_ratings_total,
-      lat:x.geometry?.location?.lat, lng:x.geometry?.location?.lng,
-      openNow:x.opening_hours?.open_now ?? null
-    }));
-    ok(res, { items });
+    const { lat, lng, openNow=true, radius=4500, type='point_of_interest', types=[type], keyword='', minRating=0, maxResults=12, cursor } = req.body || {};
+    const language = req.locale;
+    logger.info(`[${req.id}] Places search: ${cursor ? `cursor ${cursor}` : `${lat},${lng} radius:${radius} types:${types.join('|')}`}`);
+    const page = await services.searchPlacesPaged(
+      { lat, lng, openNow, radius, language, types, keyword, minRating, maxResults, cursor },
+      { onCache: cacheHeader(res) }
+    );
+    if (!page) return err(res, 410, "cursor expired");
+    ok(res, { ...page, items: withPhotoUrls(req, page.items) });
   })
 );
 
 // ---- /place-details ----
 app.post("/place-details", async (req, res) => {
   try {
-    const { placeId, language='he' } = req.body || {};
+    const { placeId, sessionToken } = req.body || {};
+    const language = req.locale;
     if (!placeId) return err(res, 400, "placeId required");
-    const fields = ["name","formatted_address","formatted_phone_number","opening_hours","website","url","geometry","rating","user_ratings_total"].join(",");
-    const r = await fetch(g(`/maps/api/place/details/json?place_id=${encodeURIComponent(placeId)}&language=${language}&fields=${fields}`));
-    const j = await r.json();
+    // Predictions served from the offline gazetteer carry offline:<id> place ids
+    if (String(placeId).startsWith('offline:')) {
+      const place = gazetteer?.get(placeId.slice('offline:'.length));
+      if (!place) return err(res, 404, "not found");
+      await acSessions.close(sessionToken);
+      return ok(res, { details: {
+        name: place.name,
+        formatted_address: toOfflineGeocodeResult(place).address,
+        geometry: { location: { lat: place.lat, lng: place.lng } },
+        photos: [],
+        source: OFFLINE_SOURCE
+      } });
+    }
+    const fields = ["name","formatted_address","formatted_phone_number","opening_hours","website","url","geometry","rating","user_ratings_total","photos"].join(",");
+    const p = new URLSearchParams({ place_id: placeId, language, fields });
+    // Picking a prediction ends its autocomplete session
+    if (sessionToken && await acSessions.close(sessionToken)) p.set("sessiontoken", sessionToken);
+    const j = await googleJson(`/maps/api/place/details/json?${p}`);
     if (j.status !== "OK") return err(res, 400, `Details: ${j.status}`);
-    ok(res, { details: j.result });
-  } catch(e){ err(res, 500, String(e)); }
+    const { photos, ...details } = j.result;
+    ok(res, { details: { ...details, photos: toPhotos(photos, 5, 800).map(photo => ({ ...photo, url: absoluteUrl(req, photo.url) })) } });
+  } catch(e){ fail(res, e); }
+});
+
+// ---- /place-photo ----
+// Fetches a Places photo server-side (Google redirects to the image) and relays
+// the bytes, so GMAPS_KEY stays on the server. Photos are kept in a bounded
+// in-process LRU (PHOTO_CACHE_MB, default 64) and marked cacheable for a week.
+// Cross-origin embedding is allowed: the frontend is served from another origin.
+const photoCache = new ByteCache({ maxBytes: Number(process.env.PHOTO_CACHE_MB || 64) * 1024 * 1024 });
+const PHOTO_MAX_AGE = 7 * 24 * 3600;
+const sendPhoto = (res, contentType, status) => res.set({
+  'Content-Type': contentType,
+  'Cache-Control': `public, max-age=${PHOTO_MAX_AGE}, immutable`,
+  'Cross-Origin-Resource-Policy': 'cross-origin',
+  'X-Cache': status
 });
 
+app.get("/place-photo",
+  validateRequest([
+    query('ref').isString().matches(/^[A-Za-z0-9_-]{10,2000}$/).withMessage('Valid photo ref required'),
+    query('maxwidth').optional().isInt({ min: 1, max: 1600 }).withMessage('maxwidth must be 1-1600'),
+    query('maxheight').optional().isInt({ min: 1, max: 1600 }).withMessage('maxheight must be 1-1600')
+  ]),
+  async (req, res) => {
+    try {
+      const { ref, maxheight } = req.query;
+      const maxwidth = req.query.maxwidth || (maxheight ? undefined : '400');
+      const params = new URLSearchParams({ photo_reference: ref });
+      if (maxwidth) params.set('maxwidth', maxwidth);
+      if (maxheight) params.set('maxheight', maxheight);
+      const key = params.toString();
+
+      const hit = photoCache.get(key);
+      cacheLookups.inc({ namespace: 'place-photo', result: hit ? 'hit' : 'miss' });
+      if (hit) return sendPhoto(res, hit.contentType, 'HIT').send(hit.body);
+
+      const url = g(`/maps/api/place/photo?${key}`);
+      const r = await googleFetch(url); // redirects are followed
+      const contentType = r.headers.get('content-type') || '';
+      if (!r.ok || !contentType.startsWith('image/')) {
+        r.body?.resume?.();
+        return err(res, [400, 403, 404].includes(r.status) ? 404 : 502, "photo unavailable");
+      }
+      costs.recordGoogle(url);
+
+      // Stream to the client while collecting the bytes for the cache
+      sendPhoto(res, contentType, 'MISS');
+      const length = r.headers.get('content-length');
+      if (length) res.set('Content-Length', length);
+      const chunks = [];
+      r.body.on('data', chunk => chunks.push(chunk));
+      r.body.on('end', () => photoCache.set(key, Buffer.concat(chunks), contentType));
+      r.body.on('error', e => {
+        logger.error(`[${req.id}] Photo stream error: ${e.message}`);
+        res.destroy(e);
+      });
+      r.body.pipe(res);
+    } catch(e){ fail(res, e); }
+  }
+);
+
 // ---- /autocomplete ----
+// Returns a sessionToken: send it back with the next keystrokes and with the
+// /place-details call for the chosen prediction so Google bills one session.
+// Unknown, expired or closed tokens get a fresh session.
+const acSessions = createAutocompleteSessions(cache);
 app.post("/autocomplete", async (req, res) => {
   try {
-    const { input, language='he', sessionToken='' } = req.body || {};
-    if (!input) return err(res, 400, "input required");
-    const p = new URLSearchParams({ input, language });
-    if (sessionToken) p.set("sessiontoken", sessionToken);
-    const r = await fetch(g(`/maps/api/place/autocomplete/json?${p}`));
-    const j = await r.json();
-    if (!["OK","ZERO_RESULTS"].includes(j.status)) return err(res, 400, `Autocomplete: ${j.status}`);
-    ok(res, { predictions: j.predictions || [] });
-  } catch(e){ err(res, 500, String(e)); }
+    const { input, sessionToken, location, radius, components } = req.body || {};
+    const language = req.locale;
+    if (!input?.trim?.()) return err(res, 400, "input required");
+    if (location && !(Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng)))) return err(res, 400, "location must have lat/lng");
+    if (radius != null && !(Number(radius) > 0 && Number(radius) <= 50000)) return err(res, 400, "radius must be 1-50000m");
+    if (components && !/^country:[a-z]{2}(\|country:[a-z]{2})*$/i.test(components)) return err(res, 400, "components must look like country:il");
+    const token = await acSessions.touch(sessionToken);
+    const predictions = await services.autocomplete({
+      input: input.trim(),
+      language,
+      location: location ? { lat: Number(location.lat), lng: Number(location.lng) } : undefined,
+      radius: location && radius ? Number(radius) : undefined,
+      components: components?.toLowerCase()
+    }, { onCache: cacheHeader(res), context: { sessionToken: token } });
+    ok(res, { predictions, sessionToken: token });
+  } catch(e){ fail(res, e); }
 });
 
 // ---- /geocode ----
+// { query } forward, { lat, lng } reverse, or { queries: [...] } batch (up to
+// MAX_GEOCODE_BATCH, per-item status). region (ccTLD) and bounds bias forward lookups.
+const MAX_GEOCODE_BATCH = 25;
 app.post("/geocode", async (req, res) => {
   try {
-    const { query, language='he' } = req.body || {};
-    if (!query) return err(res, 400, "query required");
-    const r = await fetch(g(`/maps/api/geocode/json?address=${encodeURIComponent(query)}&language=${language}`));
-    const j = await r.json();
-    if (j.status !== "OK" || !j.results?.length) return err(res, 404, "not found");
-    const r0 = j.results[0];
-    ok(res, { result: { address: r0.formatted_address, lat: r0.geometry?.location?.lat, lng: r0.geometry?.location?.lng, placeId: r0.place_id } });
-  } catch(e){ err(res, 500, String(e)); }
+    const { query, queries, lat, lng, region, bounds } = req.body || {};
+    const language = req.locale;
+    if (region && !/^[a-z]{2}$/i.test(region)) return err(res, 400, "region must be a 2-letter country code");
+    const corner = (c) => Number.isFinite(Number(c?.lat)) && Number.isFinite(Number(c?.lng));
+    if (bounds && !(corner(bounds.southwest) && corner(bounds.northeast))) return err(res, 400, "bounds needs southwest and northeast lat/lng");
+
+    if (queries) {
+      if (!Array.isArray(queries) || !queries.length || queries.some(q => typeof q !== 'string' || !q.trim())) {
+        return err(res, 400, "queries must be a non-empty array of strings");
+      }
+      if (queries.length > MAX_GEOCODE_BATCH) return err(res, 400, `at most ${MAX_GEOCODE_BATCH} queries`);
+      return ok(res, { results: await services.geocodeBatch(queries.map(q => q.trim()), { language, region, bounds }) });
+    }
+
+    if (lat != null || lng != null) {
+      if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return err(res, 400, "lat/lng must be numbers");
+      const result = await services.reverseGeocode({ lat: Number(lat), lng: Number(lng), language }, { onCache: cacheHeader(res) });
+      if (!result) return err(res, 404, "not found");
+      return ok(res, { result });
+    }
+
+    if (!query) return err(res, 400, "query, lat/lng or queries required");
+    const result = await services.geocode({ query, language, region, bounds }, { onCache: cacheHeader(res) });
+    if (!result) return err(res, 404, "not found");
+    ok(res, { result });
+  } catch(e){ fail(res, e); }
 });
 
 // ---- /route ----
+// Optional waypoints[] (up to MAX_WAYPOINTS stops between origin and dest);
+// optimize:true lets Google pick the stop order, returned as `order`.
+const MAX_WAYPOINTS = 23;
 app.post("/route", async (req, res) => {
   try {
-    const { origin, dest, mode='driving', language='he' } = req.body || {};
+    const { origin, dest, waypoints=[], optimize=false, mode='driving' } = req.body || {};
+    const language = req.locale;
     if (!origin?.lat || !origin?.lng || !dest?.lat || !dest?.lng) return err(res, 400, "origin/dest lat/lng required");
-    const p = new URLSearchParams({ origin: `${origin.lat},${origin.lng}`, destination: `${dest.lat},${dest.lng}`, mode, language, departure_time: "now" });
-    const r = await fetch(g(`/maps/api/directions/json?${p}`));
-    const j = await r.json();
-    if (j.status !== "OK") return err(res, 400, `Directions: ${j.status}`);
-    const route = j.routes?.[0]; const leg = route?.legs?.[0];
-    ok(res, {
-      summary: route?.summary,
-      distanceText: leg?.distance?.text,
-      durationText: leg?.duration_in_traffic?.text || leg?.duration?.text,
-      startAddress: leg?.start_address,
-      endAddress: leg?.end_address,
-      polyline: route?.overview_polyline?.points
-    });
-  } catch(e){ err(res, 500, String(e)); }
+    if (!Array.isArray(waypoints) || waypoints.some(w => !w?.lat || !w?.lng)) return err(res, 400, "waypoints must be an array of lat/lng");
+    if (waypoints.length > MAX_WAYPOINTS) return err(res, 400, `at most ${MAX_WAYPOINTS} waypoints`);
+    const stops = waypoints.map(w => ({ lat: Number(w.lat), lng: Number(w.lng) }));
+    ok(res, await services.getRoute({ origin, dest, waypoints: stops, optimize: optimize === true, mode, language }, { onCache: cacheHeader(res) }));
+  } catch(e){ fail(res, e); }
+});
+
+// ---- /route/compare ----
+// Driving, walking, transit and bicycling (with alternatives) side by side,
+// plus a recommended option. Each mode is cached separately.
+app.post("/route/compare", async (req, res) => {
+  try {
+    const { origin, dest, modes=TRAVEL_MODES } = req.body || {};
+    const language = req.locale;
+    if (!origin?.lat || !origin?.lng || !dest?.lat || !dest?.lng) return err(res, 400, "origin/dest lat/lng required");
+    if (!Array.isArray(modes) || !modes.length || modes.some(m => !TRAVEL_MODES.includes(m))) {
+      return err(res, 400, `modes must be a subset of ${TRAVEL_MODES.join(', ')}`);
+    }
+    ok(res, await services.compareRoutes({ origin, dest, modes: [...new Set(modes)], language }, { onCache: cacheHeader(res) }));
+  } catch(e){ fail(res, e); }
 });
 
 // ---- /think (ChatGPT NLU) ----
 app.post("/think", async (req, res) => {
   try {
-    if (!OPENAI_API_KEY) return err(res, 500, "missing OPENAI_API_KEY");
     const { text, context } = req.body || {};
     if (!text) return err(res, 400, "text required");
 
@@ -331,37 +669,22 @@ app.post("/think", async (req, res) => {
       "No prose, JSON only."
     ].join("\n");
 
-    const userMsg = `Text: <<${req.body.text}>>. Locale: ${context?.locale||'he-IL'}. Be concise.`;
-
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${OPENAI_API_KEY}` },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userMsg }
-        ],
-        response_format: { type: "json_object" }
-      })
+    const userMsg = `Text: <<${req.body.text}>>. Locale: ${context?.locale || req.locale}. Be concise.`;
+
+    const { data: parsed } = await llm.chatJSON({
+      name: 'think',
+      schema: THINK_SCHEMA,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userMsg }
+      ]
     });
-    const j = await r.json();
-    if (j.error) return err(res, 400, j.error.message || "openai error");
-    let jsonText = null;
-    try {
-      if (j.choices && j.choices[0]?.message?.content) {
-        jsonText = j.choices[0].message.content;
-      }
-    } catch{}
-    if (!jsonText) return err(res, 500, "bad openai response shape");
-    const parsed = JSON.parse(jsonText);
     ok(res, parsed);
-  } catch(e){ err(res, 500, String(e)); }
+  } catch(e){ fail(res, e); }
 });
 
 // ---- /weather (Open-Meteo) ---- (Enhanced with caching)
 app.post("/weather", 
-  cacheMiddleware(600), // Cache weather for 10 minutes
   validateRequest([
     body('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
     body('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
@@ -369,89 +692,122 @@ app.post("/weather",
   asyncHandler(async (req, res) => {
     const { lat, lng } = req.body || {};
     logger.info(`[${req.id}] Weather request: ${lat},${lng}`);
-    const params = new URLSearchParams({
-      latitude: String(lat), longitude: String(lng),
-      current: ["temperature_2m","apparent_temperature","precipitation","wind_speed_10m","is_day"].join(","),
-      hourly: ["temperature_2m","precipitation_probability","precipitation","wind_speed_10m","cloud_cover"].join(","),
-      daily: ["temperature_2m_max","temperature_2m_min","precipitation_sum","sunrise","sunset"].join(","),
-      timezone: "auto"
+    const weather = await services.getWeather({ lat, lng }, { onCache: cacheHeader(res) });
+    ok(res, { weather });
+  })
+);
+
+// ---- /weather-suitability ----
+// Hourly 0-100 scores per activity (beach, hike, park, museum, viewpoint, water)
+// over the next `hours` hours, with the best time windows for each.
+app.post("/weather-suitability",
+  validateRequest([
+    body('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+    body('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+    body('activities').optional().isArray().withMessage('activities must be an array'),
+    body('activities.*').optional().isIn(Object.keys(ACTIVITIES)).withMessage(`activities must be among ${Object.keys(ACTIVITIES).join(', ')}`),
+    body('hours').optional().isInt({ min: 1, max: 72 }).withMessage('hours must be between 1 and 72')
+  ]),
+  asyncHandler(async (req, res) => {
+    const { lat, lng, activities = Object.keys(ACTIVITIES), hours = 24 } = req.body || {};
+    const weather = await services.getWeather({ lat, lng }, { onCache: cacheHeader(res) });
+    ok(res, {
+      activities: scoreForecast(weather, { activities, hours: Number(hours) }),
+      provenance: weather.provenance
     });
-    const url = `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
-    const r = await fetch(url);
-    if (!r.ok) return err(res, 502, "weather upstream error");
-    const j = await r.json();
-    const out = {
-      current: j.current || null,
-      hourly: j.hourly ? {
-        time: j.hourly.time,
-        temperature_2m: j.hourly.temperature_2m,
-        precipitation_probability: j.hourly.precipitation_probability,
-        precipitation: j.hourly.precipitation,
-        wind_speed_10m: j.hourly.wind_speed_10m,
-        cloud_cover: j.hourly.cloud_cover
-      } : null,
-      daily: j.daily ? {
-        time: j.daily.time,
-        temperature_2m_max: j.daily.temperature_2m_max,
-        temperature_2m_min: j.daily.temperature_2m_min,
-        precipitation_sum: j.daily.precipitation_sum,
-        sunrise: j.daily.sunrise,
-        sunset: j.daily.sunset
-      } : null,
-      units: j.daily_units || j.hourly_units || {}
-    };
-    ok(res, { weather: out });
   })
 );
 
 // ---- /weather-compare ----
+// Normalized forecasts for src and dst (as /weather returns them) with the
+// conditions at departure and at arrivalTime, deltas and a localized verdict.
 app.post("/weather-compare", async (req, res) => {
   try {
-    const { src, dst } = req.body || {};
+    const { src, dst, arrivalTime, hours=6 } = req.body || {};
+    const language = req.locale;
     if (!src?.lat || !src?.lng || !dst?.lat || !dst?.lng) return err(res, 400, "src/dst lat/lng required");
-    const mk = (lat,lng)=> new URL(`https://api.open-meteo.com/v1/forecast?` + new URLSearchParams({
-      latitude:String(lat), longitude:String(lng),
-      current:["temperature_2m","apparent_temperature","precipitation","wind_speed_10m","is_day"].join(","),
-      hourly:["temperature_2m","precipitation_probability","precipitation","wind_speed_10m","cloud_cover"].join(","),
-      daily:["temperature_2m_max","temperature_2m_min","precipitation_sum","sunrise","sunset"].join(","),
-      timezone:"auto"
-    }).toString());
-    const [r1,r2] = await Promise.all([fetch(mk(src.lat,src.lng)), fetch(mk(dst.lat,dst.lng))]);
-    if (!r1.ok || !r2.ok) return err(res, 502, "weather upstream error");
-    const [j1,j2] = await Promise.all([r1.json(), r2.json()]);
-    ok(res, { src: j1, dst: j2 });
-  } catch (e) { err(res, 500, String(e)); }
+    const arrival = arrivalTime ? Date.parse(arrivalTime) : Date.now();
+    if (Number.isNaN(arrival)) return err(res, 400, "arrivalTime must be an ISO date");
+    if (!(Number(hours) >= 1 && Number(hours) <= 48)) return err(res, 400, "hours must be between 1 and 48");
+    ok(res, await services.compareWeather({ src, dst, arrivalTime: arrival, hours: Number(hours), language }));
+  } catch (e) { fail(res, e); }
 });
 
-// ---- AI Recommendation Engine ----
-const userProfiles = new Map(); // In production, use a database
+// ---- /route-weather ----
+// Hourly forecast sampled along a route at each point's estimated arrival time,
+// with hazardous segments flagged. Body: origin/dest (+ mode) or polyline +
+// durationSeconds; optional departureTime (ISO) and intervalKm.
+app.post("/route-weather", async (req, res) => {
+  try {
+    const { origin, dest, mode='driving', polyline, durationSeconds, departureTime, intervalKm=10 } = req.body || {};
+    if (polyline) {
+      if (typeof polyline !== 'string' || !(Number(durationSeconds) >= 0)) return err(res, 400, "polyline requires durationSeconds");
+    } else if (!origin?.lat || !origin?.lng || !dest?.lat || !dest?.lng) {
+      return err(res, 400, "origin/dest lat/lng or polyline required");
+    }
+    const departure = departureTime ? Date.parse(departureTime) : Date.now();
+    if (Number.isNaN(departure)) return err(res, 400, "departureTime must be an ISO date");
+    if (!(Number(intervalKm) >= 1)) return err(res, 400, "intervalKm must be >= 1");
+    ok(res, await services.routeWeather({
+      origin, dest, mode, polyline,
+      durationSeconds: polyline ? Number(durationSeconds) : undefined,
+      departureTime: departure,
+      intervalKm: Number(intervalKm)
+    }));
+  } catch(e){ fail(res, e); }
+});
+
+// Requests without a userId share this id; nothing is stored under it, so
+// anonymous traffic neither grows one record without limit nor queues on its lock
+const ANONYMOUS_USER = 'anonymous';
+// History kept per user (oldest entries are dropped)
+const MAX_TRIPS = 50;
+const MAX_VISITS = 500;
+const MAX_RATINGS = 500;
+
+// Trips planned via /plan-trip, keyed by userId
+const userProfiles = new VersionedCollection(store, 'profiles', {
+  version: 1,
+  create: () => ({ trips: [], preferences: {} }),
+  migrations: {
+    1: (p) => ({ trips: [], preferences: {}, ...p })
+  }
+});
 
+// ---- AI Recommendation Engine ----
 class RecommendationEngine {
-  constructor() {
-    this.userBehavior = new Map();
+  constructor(store) {
+    // Interaction history keyed by userId, shaped like getDefaultProfile()
+    this.userBehavior = new VersionedCollection(store, 'behavior', {
+      version: 1,
+      create: () => this.getDefaultProfile(),
+      migrations: {
+        1: (p) => {
+          const defaults = this.getDefaultProfile();
+          return { ...defaults, ...p, preferences: { ...defaults.preferences, ...p.preferences } };
+        }
+      }
+    });
     this.placeFeatures = new Map();
   }
 
-  // Track user interactions
-  trackInteraction(userId, placeId, interactionType, rating = null) {
-    if (!this.userBehavior.has(userId)) {
-      this.userBehavior.set(userId, {
-        searches: [],
-        visits: [],
-        preferences: { cuisine: {}, priceRange: [0, 100], ratings: [] },
-        mood: 'neutral'
-      });
-    }
-    
-    const profile = this.userBehavior.get(userId);
-    profile.visits.push({ placeId, interactionType, timestamp: Date.now(), rating });
-    
-    if (rating) profile.preferences.ratings.push(rating);
+  // Track user interactions; false when there is no user to attribute them to
+  async trackInteraction(userId, placeId, interactionType, rating = null) {
+    if (userId === ANONYMOUS_USER) return false;
+    await this.userBehavior.update(userId, profile => {
+      profile.visits = [...profile.visits, { placeId, interactionType, timestamp: Date.now(), rating }].slice(-MAX_VISITS);
+      if (rating) profile.preferences.ratings = [...profile.preferences.ratings, rating].slice(-MAX_RATINGS);
+    });
+    return true;
+  }
+
+  async getProfile(userId) {
+    return (await this.userBehavior.get(userId)) || this.getDefaultProfile();
   }
 
   // AI-powered personalized recommendations
-  getPersonalizedRecommendations(userId, location, context = {}) {
-    const profile = this.userBehavior.get(userId) || this.getDefaultProfile();
+  async getPersonalizedRecommendations(userId, location, context = {}) {
+    const profile = await this.getProfile(userId);
     const { mood = 'neutral', timeOfDay, weather, companionType = 'solo' } = context;
     
     // AI logic for recommendations
@@ -483,13 +839,18 @@ class RecommendationEngine {
       recommendations.push({ type: 'restaurant', keyword: 'dinner food' });
     }
     
-    // Weather-based recommendations
-    if (weather?.current?.precipitation > 0) {
-      recommendations.push({ type: 'shopping_mall', keyword: 'indoor covered' });
-      recommendations.push({ type: 'restaurant', keyword: 'indoor cozy' });
-    } else if (weather?.current?.temperature_2m > 25) {
-      recommendations.push({ type: 'restaurant', keyword: 'ice cream outdoor terrace' });
-      recommendations.push({ type: 'park', keyword: 'outdoor shade trees' });
+    // Weather-based recommendations (see lib/suitability.js)
+    const outdoors = weather && scoreAt(weather, 'park');
+    const beach = weather && scoreAt(weather, 'beach');
+    if (outdoors && outdoors.score < POOR_SCORE) {
+      const because = outdoors.reasons.includes('rain') ? 'rain' : 'poor_weather';
+      recommendations.push({ type: 'shopping_mall', keyword: 'indoor covered', because });
+      recommendations.push({ type: 'restaurant', keyword: 'indoor cozy', because });
+    } else if (outdoors?.reasons.includes('hot')) {
+      recommendations.push({ type: 'restaurant', keyword: 'ice cream outdoor terrace', because: 'hot' });
+      recommendations.push({ type: 'park', keyword: 'outdoor shade trees', because: 'hot' });
+    } else if (beach && beach.score >= GOOD_SCORE) {
+      recommendations.push({ type: 'tourist_attraction', keyword: 'beach', because: 'beach_weather' });
     }
     
     return recommendations;
@@ -505,96 +866,71 @@ class RecommendationEngine {
   }
 }
 
-const aiEngine = new RecommendationEngine();
+const aiEngine = new RecommendationEngine(store);
+
+// ---- Services (weather, places, route, recommendations) ----
+// Shared by the routes and internal callers; see lib/services.js
+const services = createServices({
+  googleJson,
+  weatherProviders,
+  cache,
+  aiEngine,
+  recommendationReason: getRecommendationReason,
+  gazetteer,
+  onCacheLookup: (namespace, status) => cacheLookups.inc({ namespace, result: status.toLowerCase() }),
+  logger
+});
+
+// ---- Planner provider ("live" by default, PLANNER_PROVIDER=stub for tests) ----
+const PLANNER_PROVIDER = process.env.PLANNER_PROVIDER || 'live';
+const plannerProvider = createPlannerProvider(PLANNER_PROVIDER, {
+  nearbySearch: services.nearbySearch,
+  forecast: (lat, lng) => services.getWeather({ lat, lng }),
+  directions: services.directions
+});
 
 // ---- /ai-recommendations ---- (Enhanced with AI rate limiting)
 app.post("/ai-recommendations", 
   aiLimit,
-  cacheMiddleware(900), // Cache AI recommendations for 15 minutes
   validateRequest([
     body('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
     body('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
     body('mood').optional().isIn(['adventurous', 'relaxed', 'social', 'romantic', 'hungry', 'curious']).withMessage('Invalid mood')
   ]),
   asyncHandler(async (req, res) => {
-    const { lat, lng, userId = 'anonymous', mood, timeOfDay, companionType } = req.body || {};
+    const { lat, lng, userId = ANONYMOUS_USER, mood, timeOfDay, companionType } = req.body || {};
     logger.info(`[${req.id}] AI recommendations: ${lat},${lng} mood:${mood}`);
 
-    // Get weather context for AI recommendations
-    const weatherResponse = await fetch(`${process.env.PROTOCOL || 'http'}://localhost:${process.env.PORT || 8080}/weather`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ lat, lng })
-    });
-    const weatherData = weatherResponse.ok ? await weatherResponse.json() : null;
-
-    // Get AI recommendations
-    const recommendations = aiEngine.getPersonalizedRecommendations(userId, { lat, lng }, {
-      mood,
-      timeOfDay,
-      weather: weatherData?.weather,
-      companionType
-    });
-
-    // Execute recommendations and get actual places
-    const results = [];
-    for (const rec of recommendations.slice(0, 3)) { // Limit to 3 recommendations
-      try {
-        const placesResponse = await fetch(`https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${lat},${lng}&radius=2000&type=${rec.type}&keyword=${rec.keyword}&language=he&key=${GMAPS_KEY}`);
-        const placesData = await placesResponse.json();
-        
-        if (placesData.status === "OK" && placesData.results?.length) {
-          results.push({
-            category: rec.type,
-            reason: getRecommendationReason(rec, mood, weatherData?.weather),
-            places: placesData.results.slice(0, 2).map(place => ({
-              id: place.place_id,
-              name: place.name,
-              rating: place.rating,
-              address: place.vicinity,
-              lat: place.geometry?.location?.lat,
-              lng: place.geometry?.location?.lng,
-              openNow: place.opening_hours?.open_now
-            }))
-          });
-        }
-      } catch (e) {
-        console.error('Recommendation error:', e);
-      }
-    }
-
-    ok(res, { recommendations: results, context: { mood, weather: weatherData?.weather?.current } });
+    const result = await services.recommend({ lat, lng, userId, mood, timeOfDay, companionType, language: req.locale }, { onCache: cacheHeader(res) });
+    ok(res, withRecommendationPhotos(req, result));
   })
 );
 
-// Helper method for recommendation reasons
-function getRecommendationReason(rec, mood, weather) {
-  if (mood === 'adventurous') return "🗺️ Based on your adventurous mood, here are some unique local experiences";
-  if (mood === 'relaxed') return "😌 Perfect spots to unwind and relax";
-  if (mood === 'social') return "👥 Great places to socialize and meet people";
-  if (mood === 'romantic') return "💕 Perfect for a romantic experience";
-  if (mood === 'hungry') return "🍽️ Delicious options to satisfy your hunger";
-  if (weather?.precipitation > 0) return "☔ Great indoor options since it's raining";
-  if (weather?.temperature_2m > 25) return "☀️ Cool treats for this warm weather";
-  return "✨ Personalized recommendations just for you";
+// Helper method for recommendation reasons: the mood's, else the weather reason's
+const REASON_MOODS = ['adventurous', 'relaxed', 'social', 'romantic', 'hungry'];
+const REASON_WEATHER = ['rain', 'poor_weather', 'hot', 'beach_weather'];
+function getRecommendationReason(rec, mood, weather, locale) {
+  if (REASON_MOODS.includes(mood)) return t(locale, `reason.${mood}`);
+  if (REASON_WEATHER.includes(rec.because)) return t(locale, `reason.${rec.because}`);
+  return t(locale, 'reason.default');
 }
 
 // ---- /track-interaction ----
 app.post("/track-interaction", async (req, res) => {
   try {
-    const { userId = 'anonymous', placeId, interactionType, rating } = req.body || {};
+    const { userId = ANONYMOUS_USER, placeId, interactionType, rating } = req.body || {};
     if (!placeId || !interactionType) return err(res, 400, "placeId and interactionType required");
     
-    aiEngine.trackInteraction(userId, placeId, interactionType, rating);
-    ok(res, { tracked: true, message: "Interaction recorded for future recommendations" });
-  } catch(e) { err(res, 500, String(e)); }
+    const tracked = await aiEngine.trackInteraction(userId, placeId, interactionType, rating);
+    ok(res, { tracked, message: t(req.locale, tracked ? 'interaction.recorded' : 'interaction.anonymous') });
+  } catch(e) { fail(res, e); }
 });
 
 // ---- /user-insights ----
 app.post("/user-insights", async (req, res) => {
   try {
-    const { userId = 'anonymous' } = req.body || {};
-    const profile = aiEngine.userBehavior.get(userId) || aiEngine.getDefaultProfile();
+    const { userId = ANONYMOUS_USER } = req.body || {};
+    const profile = await aiEngine.getProfile(userId);
     
     // Calculate insights
     const insights = {
@@ -608,7 +944,7 @@ app.post("/user-insights", async (req, res) => {
     };
     
     ok(res, { insights, profile: { mood: profile.mood } });
-  } catch(e) { err(res, 500, String(e)); }
+  } catch(e) { fail(res, e); }
 });
 
 // Helper methods for insights
@@ -632,7 +968,7 @@ function inferTravelStyle(profile) {
 // ---- Voice Processing ----
 app.post("/voice-to-intent", async (req, res) => {
   try {
-    const { text, userId = 'anonymous', location } = req.body || {};
+    const { text, userId = ANONYMOUS_USER, location } = req.body || {};
     if (!text) return err(res, 400, "text required");
 
     // Enhanced NLU with voice-specific processing
@@ -644,49 +980,37 @@ app.post("/voice-to-intent", async (req, res) => {
       "intent: string,",
       "mood: string,", 
       "params: object with relevant parameters,",
-      "response: friendly conversational response in Hebrew",
+      `response: friendly conversational response in ${LANGUAGE_NAMES[req.locale]}`,
       "No prose outside JSON."
     ].join("\n");
 
     const voicePrompt = `Voice command: "${text}". Location: ${location?.lat ? `${location.lat},${location.lng}` : 'unknown'}. User: ${userId}`;
 
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${OPENAI_API_KEY}` },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: voiceSystemPrompt },
-          { role: "user", content: voicePrompt }
-        ],
-        response_format: { type: "json_object" }
-      })
+    const { data: voiceIntent } = await llm.chatJSON({
+      name: 'voice-intent',
+      schema: VOICE_INTENT_SCHEMA,
+      messages: [
+        { role: "system", content: voiceSystemPrompt },
+        { role: "user", content: voicePrompt }
+      ]
     });
-
-    const aiResponse = await r.json();
-    if (aiResponse.error) return err(res, 400, aiResponse.error.message);
-
-    const voiceIntent = JSON.parse(aiResponse.choices[0].message.content);
     
     // Execute the intent automatically
     let actionResult = null;
     if (voiceIntent.intent === 'ai_recommendations' && location) {
+      const { timeOfDay, companionType } = voiceIntent.params || {};
       const recParams = {
         lat: location.lat,
         lng: location.lng,
         userId,
         mood: voiceIntent.mood,
-        ...voiceIntent.params
+        timeOfDay,
+        companionType,
+        language: req.locale
       };
       
-      // Internal API call
       try {
-        const recResponse = await fetch(`http://localhost:${process.env.PORT || 8080}/ai-recommendations`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(recParams)
-        });
-        actionResult = await recResponse.json();
+        actionResult = { ok: true, ...withRecommendationPhotos(req, await services.recommend(recParams)) };
       } catch (e) {
         console.error('Voice recommendation error:', e);
       }
@@ -695,133 +1019,182 @@ app.post("/voice-to-intent", async (req, res) => {
     ok(res, { 
       voiceIntent, 
       actionResult,
-      conversationResponse: voiceIntent.response || "הבנתי! מחפש עבורך..."
+      conversationResponse: voiceIntent.response || t(req.locale, 'voice.fallback')
     });
-  } catch(e) { err(res, 500, String(e)); }
+  } catch(e) { fail(res, e); }
 });
 
 // ---- AI Trip Planning ----
-app.post("/plan-trip", async (req, res) => {
-  try {
-    const { 
-      startLocation, 
-      duration, // 'half-day', 'full-day', 'weekend', 'custom'
-      customHours = 8,
-      interests = [], // ['food', 'culture', 'adventure', 'relaxation', 'nightlife']
-      budget = 'medium', // 'low', 'medium', 'high'
-      groupSize = 1,
-      mobility = 'walking', // 'walking', 'car', 'public'
-      userId = 'anonymous'
-    } = req.body || {};
+// Runs weather -> LLM plan -> place enrichment -> save, calling emit(event, data)
+// after each phase. signal cancels whatever upstream work is still pending.
+async function planTrip(params, { signal, emit = () => {} } = {}) {
+  const { 
+    startLocation, 
+    duration, // 'half-day', 'full-day', 'weekend', 'custom'
+    customHours = 8,
+    interests = [], // ['food', 'culture', 'adventure', 'relaxation', 'nightlife']
+    budget = 'medium', // 'low', 'medium', 'high'
+    groupSize = 1,
+    mobility = 'walking', // 'walking', 'car', 'public'
+    userId = ANONYMOUS_USER,
+    locale = DEFAULT_LOCALE,
+    photoBaseUrl = '' // origin prepended to /place-photo URLs (see publicOrigin)
+  } = params;
+
+  // Get weather context
+  const weather = await services.getWeather({ lat: startLocation.lat, lng: startLocation.lng }).catch(() => null);
+  signal?.throwIfAborted();
+  emit('weather', { weather: weather?.current || null });
+
+  // Calculate trip duration in hours
+  let hours;
+  switch(duration) {
+    case 'half-day': hours = 4; break;
+    case 'full-day': hours = 8; break;
+    case 'weekend': hours = 16; break;
+    case 'custom': hours = customHours; break;
+    default: hours = 8;
+  }
 
-    if (!startLocation?.lat || !startLocation?.lng) return err(res, 400, "startLocation required");
+  // AI prompt for trip planning
+  const planningPrompt = [
+    "You are traveling AI, an expert trip planner. Create a detailed itinerary.",
+    `Duration: ${hours} hours`,
+    `Interests: ${interests.join(', ')}`,
+    `Budget: ${budget}`,
+    `Group: ${groupSize} people`,
+    `Transport: ${mobility}`,
+    `Weather: ${weather?.current?.temperature_2m || 'unknown'}°C`,
+    "",
+    "Output JSON with:",
+    "title: string,",
+    "overview: string,", 
+    "estimated_cost: string,",
+    "activities: [{ name, type, duration_minutes, description, priority, cost_estimate }],",
+    "tips: string[]",
+    `Write title, overview, descriptions and tips in ${LANGUAGE_NAMES[locale]}.`,
+    "No prose outside JSON."
+  ].join("\n");
+
+  const { data: tripPlan } = await llm.chatJSON({
+    name: 'trip-plan',
+    schema: TRIP_PLAN_SCHEMA,
+    signal,
+    messages: [
+      { role: "system", content: planningPrompt },
+      { role: "user", content: `Plan a ${duration} trip starting from Tel Aviv area` }
+    ]
+  });
+  emit('plan', { tripPlan });
 
-    // Get weather context
-    const weatherResponse = await fetch(`http://localhost:${process.env.PORT || 8080}/weather`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(startLocation)
-    });
-    const weatherData = weatherResponse.ok ? await weatherResponse.json() : null;
-
-    // Calculate trip duration in hours
-    let hours;
-    switch(duration) {
-      case 'half-day': hours = 4; break;
-      case 'full-day': hours = 8; break;
-      case 'weekend': hours = 16; break;
-      case 'custom': hours = customHours; break;
-      default: hours = 8;
+  // Get real places for each activity
+  const enrichedActivities = [];
+  for (const [index, activity] of tripPlan.activities.slice(0, 6).entries()) { // Limit to 6 activities
+    let enriched;
+    try {
+      const placesData = await googleJson(`/maps/api/place/nearbysearch/json?location=${startLocation.lat},${startLocation.lng}&radius=5000&type=point_of_interest&keyword=${encodeURIComponent(activity.name)}&language=${locale}`, { signal });
+      
+      if (placesData.status === "OK" && placesData.results?.length) {
+        const place = placesData.results[0];
+        enriched = {
+          ...activity,
+          place: {
+            id: place.place_id,
+            name: place.name,
+            rating: place.rating,
+            address: place.vicinity,
+            lat: place.geometry?.location?.lat,
+            lng: place.geometry?.location?.lng,
+            photos: toPhotos(place.photos).map(photo => ({ ...photo, url: `${photoBaseUrl}${photo.url}` }))
+          }
+        };
+      } else {
+        enriched = { ...activity, place: null };
+      }
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      enriched = { ...activity, place: null };
     }
+    enrichedActivities.push(enriched);
+    emit('activity', { index, activity: enriched });
+  }
 
-    // AI prompt for trip planning
-    const planningPrompt = [
-      "You are traveling AI, an expert trip planner. Create a detailed itinerary.",
-      `Duration: ${hours} hours`,
-      `Interests: ${interests.join(', ')}`,
-      `Budget: ${budget}`,
-      `Group: ${groupSize} people`,
-      `Transport: ${mobility}`,
-      `Weather: ${weatherData?.weather?.current?.temperature_2m || 'unknown'}°C`,
-      "",
-      "Output JSON with:",
-      "title: string,",
-      "overview: string,", 
-      "estimated_cost: string,",
-      "activities: [{ name, type, duration_minutes, description, priority, cost_estimate }],",
-      "tips: string[]",
-      "No prose outside JSON."
-    ].join("\n");
-
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${OPENAI_API_KEY}` },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: planningPrompt },
-          { role: "user", content: `Plan a ${duration} trip starting from Tel Aviv area` }
-        ],
-        response_format: { type: "json_object" }
-      })
+  // Store trip plan for user (anonymous trips aren't stored and get no tripId
+  // for /navigate-trip)
+  signal?.throwIfAborted();
+  const tripId = userId === ANONYMOUS_USER ? null : `trip_${Date.now()}`;
+  if (tripId) {
+    await userProfiles.update(userId, profile => {
+      profile.trips = [...profile.trips, {
+        id: tripId,
+        created: new Date().toISOString(),
+        plan: { ...tripPlan, activities: enrichedActivities },
+        status: 'planned'
+      }].slice(-MAX_TRIPS);
     });
+  }
 
-    const aiResponse = await r.json();
-    if (aiResponse.error) return err(res, 400, aiResponse.error.message);
+  const result = {
+    tripPlan: { ...tripPlan, activities: enrichedActivities },
+    tripId,
+    context: { weather: weather?.current, duration: hours }
+  };
+  emit('done', { tripId, context: result.context });
+  return result;
+}
 
-    const tripPlan = JSON.parse(aiResponse.choices[0].message.content);
+app.post("/plan-trip", async (req, res) => {
+  try {
+    const { startLocation } = req.body || {};
+    if (!startLocation?.lat || !startLocation?.lng) return err(res, 400, "startLocation required");
+    ok(res, await planTrip({ ...req.body, locale: req.locale, photoBaseUrl: publicOrigin(req) }));
+  } catch(e) { fail(res, e); }
+});
 
-    // Get real places for each activity
-    const enrichedActivities = [];
-    for (const activity of tripPlan.activities.slice(0, 6)) { // Limit to 6 activities
-      try {
-        const placesResponse = await fetch(`https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${startLocation.lat},${startLocation.lng}&radius=5000&type=point_of_interest&keyword=${encodeURIComponent(activity.name)}&language=he&key=${GMAPS_KEY}`);
-        const placesData = await placesResponse.json();
-        
-        if (placesData.status === "OK" && placesData.results?.length) {
-          const place = placesData.results[0];
-          enrichedActivities.push({
-            ...activity,
-            place: {
-              id: place.place_id,
-              name: place.name,
-              rating: place.rating,
-              address: place.vicinity,
-              lat: place.geometry?.location?.lat,
-              lng: place.geometry?.location?.lng,
-              photos: place.photos?.slice(0, 1) || []
-            }
-          });
-        } else {
-          enrichedActivities.push({ ...activity, place: null });
-        }
-      } catch (e) {
-        enrichedActivities.push({ ...activity, place: null });
-      }
-    }
+// ---- /plan-trip/stream (Server-Sent Events) ----
+// Same body as /plan-trip; emits weather, plan, activity (one per enriched
+// activity), done ({ tripId }) or error. Closing the connection cancels the
+// remaining upstream calls.
+app.post("/plan-trip/stream", async (req, res) => {
+  const { startLocation } = req.body || {};
+  if (!startLocation?.lat || !startLocation?.lng) return err(res, 400, "startLocation required");
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    // Store trip plan for user
-    if (!userProfiles.has(userId)) {
-      userProfiles.set(userId, { trips: [], preferences: {} });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info(`[${req.id}] Plan stream closed by client, cancelling`);
+      controller.abort();
     }
-    const profile = userProfiles.get(userId);
-    const tripId = `trip_${Date.now()}`;
-    profile.trips.push({
-      id: tripId,
-      created: new Date(),
-      plan: { ...tripPlan, activities: enrichedActivities },
-      status: 'planned'
-    });
+  });
+  const send = (event, data) => {
+    if (!controller.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
 
-    ok(res, {
-      tripPlan: { ...tripPlan, activities: enrichedActivities },
-      tripId,
-      context: { weather: weatherData?.weather?.current, duration: hours }
-    });
-  } catch(e) { err(res, 500, String(e)); }
+  try {
+    await planTrip({ ...req.body, locale: req.locale, photoBaseUrl: publicOrigin(req) }, { signal: controller.signal, emit: send });
+  } catch (e) {
+    if (!controller.signal.aborted) {
+      logger.error(`[${req.id}] Plan stream error:`, e);
+      send('error', e instanceof UpstreamError
+        ? { code: e.code, error: e.message, upstream: e.upstream }
+        : { code: 'internal_error', error: String(e) });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
 });
 
-// ---- AI Planner Orchestrator (Stub) ----
+// ---- AI Planner Orchestrator ----
 app.post("/api/plan", aiLimit, validateRequest([
   // Validate preferences object
   body("preferences").isObject().withMessage('preferences must be an object'),
@@ -859,66 +1232,100 @@ app.post("/api/plan", aiLimit, validateRequest([
 ]), plannerGuardrails, async (req, res) => {
   try {
     // Use sanitized payload from guardrails
-    const { preferences, startLocation } = req.planPayload || req.body;
-
-    logger.info(`[${req.id}] Plan request (stub mode)`);
+    const { preferences, startLocation, tripLength } = req.planPayload;
+
+    logger.info(`[${req.id}] Plan request (${plannerProvider.name} provider, ${tripLength.days} day(s))`);
+
+    // Search every interest (bounded) and interleave the results so each day gets variety
+    const interests = preferences.interests.slice(0, 5);
+    const perInterest = await Promise.all(interests.map(i => plannerProvider.searchPlaces(i, startLocation, { language: req.locale })));
+    const seen = new Set();
+    const places = [];
+    const maxStops = Math.min(stopsForTrip(tripLength), 23); // Directions allows 25 waypoints incl. origin
+    for (let rank = 0; places.length < maxStops && perInterest.some(list => rank < list.length); rank++) {
+      for (const list of perInterest) {
+        const p = list[rank];
+        if (!p || seen.has(p.id) || places.length >= maxStops) continue;
+        seen.add(p.id);
+        places.push(p);
+      }
+    }
 
-    // Call provider stubs
-    const places = await stubSearchPlaces(
-      preferences.interests?.[0] || 'attraction',
-      startLocation
-    );
-    const weather = await stubGetWeather(
+    const weather = await plannerProvider.getWeather(
       startLocation.lat,
       startLocation.lng,
       Date.now()
     );
-    const route = await stubGetRouteSummary(places.map(p => ({
-      lat: startLocation.lat,
-      lng: startLocation.lng
-    })));
+    const routable = places.filter(p => p.lat != null && p.lng != null);
+    const route = await plannerProvider.getRouteSummary([
+      { lat: startLocation.lat, lng: startLocation.lng },
+      ...routable.map(p => ({ lat: p.lat, lng: p.lng }))
+    ], { language: req.locale });
+
+    // legs[i] is the travel into routable[i]; unroutable places get no travel gap
+    const legByPlace = new Map(routable.map((p, i) => [p.id, route.legs[i]]));
+    const schedule = buildSchedule({
+      places,
+      legs: places.map(p => legByPlace.get(p.id)),
+      days: tripLength.days,
+      hoursPerDay: tripLength.hoursPerDay,
+      locale: req.locale
+    });
 
     // Return grounded response with rationales and citations
     const itinerary = {
       id: `plan-${Date.now()}`,
-      title: `Trip from ${startLocation.name || 'Start'}`,
-      days: [{
-        date: new Date().toISOString().split('T')[0],
-        activities: places.map(p => ({
-          time: '10:00',
-          place: p.name,
-          duration: 60,
-          notes: 'Suggested based on preferences'
-        }))
-      }],
+      title: t(req.locale, 'plan.title', { start: startLocation.name || t(req.locale, 'plan.start') }),
+      days: schedule.days,
       metadata: {
+        days: tripLength.days,
+        hoursPerDay: tripLength.hoursPerDay,
         distance: route.distance,
         duration: route.duration,
-        weather: weather.conditions
+        polyline: route.polyline,
+        weather: weather.conditions,
+        temperature: weather.temp,
+        unscheduled: schedule.unscheduled.map(p => ({ placeId: p.id, place: p.name }))
       }
     };
 
-    const rationales = [
-      `Selected ${places[0].name} based on "${preferences.interests?.[0]}" interest`,
-      `Weather is ${weather.conditions}, suitable for outdoor activities`
-    ];
+    const rationales = [];
+    const interestList = interests.map(i => `"${i}"`).join(', ');
+    if (places.length) {
+      rationales.push(t(req.locale, 'plan.selected', { count: places.length, interests: interestList, days: schedule.days.length }));
+    } else {
+      rationales.push(t(req.locale, 'plan.none_found', { start: startLocation.name, interests: interestList }));
+    }
+    const conditions = t(req.locale, `conditions.${weather.conditions.replace(' ', '_')}`);
+    rationales.push(t(req.locale, weather.conditions === 'rainy' ? 'plan.weather_indoor' : 'plan.weather_outdoor', { conditions }));
+    if (route.legs.length) {
+      rationales.push(t(req.locale, 'plan.route', { distance: route.distance, duration: route.duration }));
+    }
 
-    const citations = places.map(p => ({
-      source: 'stub-provider',
-      placeId: p.id,
-      rating: p.rating
-    }));
+    const citations = [
+      ...places.map(p => ({
+        source: plannerProvider.source.places,
+        placeId: p.id,
+        rating: p.rating
+      })),
+      { source: weather.source || plannerProvider.source.weather, lat: startLocation.lat, lng: startLocation.lng },
+      { source: plannerProvider.source.route, legs: route.legs.length }
+    ];
 
     res.json({
       ok: true,
       itinerary,
       rationales,
       citations,
-      stub: true // Mark as stub response
+      provider: plannerProvider.name,
+      ...(plannerProvider.name === 'stub' && { stub: true }) // Mark stub responses
     });
 
   } catch(e) {
     logger.error(`[${req.id}] Plan error:`, e);
+    if (e instanceof UpstreamError) {
+      return res.status(e.status).json({ ok: false, code: e.code, message: e.message, upstream: e.upstream });
+    }
     res.status(500).json({
       ok: false,
       code: 'internal_error',
@@ -931,12 +1338,12 @@ app.post("/api/plan", aiLimit, validateRequest([
 // ---- Live Trip Navigation ----
 app.post("/navigate-trip", async (req, res) => {
   try {
-    const { tripId, userId = 'anonymous', currentLocation, currentActivity = 0 } = req.body || {};
+    const { tripId, userId = ANONYMOUS_USER, currentLocation, currentActivity = 0 } = req.body || {};
     if (!tripId || !currentLocation?.lat || !currentLocation?.lng) {
       return err(res, 400, "tripId and currentLocation required");
     }
 
-    const profile = userProfiles.get(userId);
+    const profile = await userProfiles.get(userId);
     const trip = profile?.trips?.find(t => t.id === tripId);
     if (!trip) return err(res, 404, "Trip not found");
 
@@ -944,51 +1351,56 @@ app.post("/navigate-trip", async (req, res) => {
     const nextActivity = activities[currentActivity];
     
     if (!nextActivity?.place) {
-      return ok(res, { message: "Trip completed!", hasNext: false });
+      return ok(res, { message: t(req.locale, 'trip.completed'), hasNext: false });
     }
 
     // Calculate route to next activity
-    const routeResponse = await fetch(`http://localhost:${process.env.PORT || 8080}/route`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        origin: currentLocation,
-        dest: { lat: nextActivity.place.lat, lng: nextActivity.place.lng },
-        mode: 'walking'
-      })
-    });
-    const routeData = routeResponse.ok ? await routeResponse.json() : null;
-
-    // Check for weather/time adjustments
-    const now = new Date();
+    const routeData = await services.getRoute({
+      origin: { lat: currentLocation.lat, lng: currentLocation.lng },
+      dest: { lat: nextActivity.place.lat, lng: nextActivity.place.lng },
+      mode: 'walking',
+      language: req.locale
+    }).then(route => ({ ok: true, ...route }), () => null);
+
+    // Check for weather/time adjustments at the expected arrival time
     let adjustments = [];
-    
-    if (now.getHours() > 20 && nextActivity.type === 'outdoor') {
-      adjustments.push({
-        type: 'time_warning',
-        message: 'מקום חיצוני - שקול לעבור למחר או למקום מקורה',
-        suggestion: 'indoor_alternative'
-      });
+    const category = categoryForType(nextActivity.type);
+    if (category && !ACTIVITIES[category].indoor) {
+      const weather = await services.getWeather({ lat: nextActivity.place.lat, lng: nextActivity.place.lng }).catch(() => null);
+      const arrival = Date.now() + (routeData?.total?.durationSeconds || 0) * 1000;
+      const suitability = weather && scoreAt(weather, category, arrival);
+      if (suitability && suitability.score < POOR_SCORE) {
+        const dark = suitability.reasons.includes('dark');
+        adjustments.push({
+          type: dark ? 'time_warning' : 'weather_warning',
+          message: t(req.locale, dark ? 'adjust.dark' : 'adjust.weather'),
+          suggestion: 'indoor_alternative',
+          suitability
+        });
+      }
     }
 
+    const currentPlace = await services.reverseGeocode({ lat: currentLocation.lat, lng: currentLocation.lng, language: req.locale }).catch(() => null);
+
     ok(res, {
       currentActivity: nextActivity,
+      currentPlace,
       navigation: routeData,
       progress: `${currentActivity + 1}/${activities.length}`,
       adjustments,
       hasNext: currentActivity < activities.length - 1
     });
-  } catch(e) { err(res, 500, String(e)); }
+  } catch(e) { fail(res, e); }
 });
 
 // ---- Smart Notifications ----
 app.post("/smart-notifications", async (req, res) => {
   try {
-    const { userId = 'anonymous', location, timeContext } = req.body || {};
+    const { userId = ANONYMOUS_USER, location, timeContext } = req.body || {};
     if (!location?.lat || !location?.lng) return err(res, 400, "location required");
 
     const notifications = [];
-    const profile = aiEngine.userBehavior.get(userId) || aiEngine.getDefaultProfile();
+    const profile = await aiEngine.getProfile(userId);
     
     // Time-based notifications
     const hour = new Date().getHours();
@@ -999,8 +1411,8 @@ app.post("/smart-notifications", async (req, res) => {
       notifications.push({
         type: 'suggestion',
         priority: 'medium',
-        title: '🍽️ זמן צהריים!',
-        message: 'מצאתי כמה מסעדות נהדרות בקרבתך',
+        title: t(req.locale, 'notify.lunch.title'),
+        message: t(req.locale, 'notify.lunch.message'),
         action: 'ai_recommendations',
         params: { mood: 'hungry', type: 'restaurant' }
       });
@@ -1008,39 +1420,47 @@ app.post("/smart-notifications", async (req, res) => {
     
     // Weather-based notifications
     try {
-      const weatherResponse = await fetch(`http://localhost:${process.env.PORT || 8080}/weather`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(location)
-      });
-      const weatherData = await weatherResponse.json();
+      const weather = await services.getWeather({ lat: location.lat, lng: location.lng });
       
-      if (weatherData.ok && weatherData.weather?.current) {
-        const temp = weatherData.weather.current.temperature_2m;
-        const precipitation = weatherData.weather.current.precipitation;
+      const outdoors = scoreAt(weather, 'park');
+      if (outdoors) {
+        const temp = weather.current?.temperature_2m;
         
-        if (temp > 28) {
+        if (outdoors.reasons.includes('hot')) {
           notifications.push({
             type: 'weather_advice',
             priority: 'high',
-            title: '☀️ חום בחוץ!',
-            message: `${temp}°C - מה דעתך על גלידה או מקום עם מיזוג?`,
+            title: t(req.locale, 'notify.hot.title'),
+            message: t(req.locale, 'notify.hot.message', { temp }),
             action: 'ai_recommendations',
             params: { mood: 'cooling', keyword: 'ice cream air conditioning' }
           });
         }
         
-        if (precipitation > 0) {
+        if (outdoors.reasons.includes('rain')) {
           notifications.push({
             type: 'weather_alert',
             priority: 'high',
-            title: '🌧️ גשם בדרך',
-            message: 'מצאתי מקומות מקורים שיתאימו לך',
+            title: t(req.locale, 'notify.rain.title'),
+            message: t(req.locale, 'notify.rain.message'),
             action: 'ai_recommendations',
             params: { mood: 'indoor', type: 'museum' }
           });
         }
       }
+
+      // A great beach window in the next 12 hours
+      const { beach } = scoreForecast(weather, { activities: ['beach'], hours: 12 });
+      if (beach.best?.score >= 80) {
+        notifications.push({
+          type: 'weather_opportunity',
+          priority: 'low',
+          title: t(req.locale, 'notify.beach.title'),
+          message: t(req.locale, 'notify.beach.message', { start: beach.best.start.slice(11), end: beach.best.end.slice(11) }),
+          action: 'ai_recommendations',
+          params: { keyword: 'beach', type: 'tourist_attraction' }
+        });
+      }
     } catch (e) {
       console.error('Weather notification error:', e);
     }
@@ -1052,243 +1472,84 @@ app.post("/smart-notifications", async (req, res) => {
         notifications.push({
           type: 'personal_insight',
           priority: 'low',
-          title: '⭐ אתה בעל טעם מעולה!',
-          message: `הציון הממוצע שלך: ${avgRating.toFixed(1)} - נמצא לך עוד מקומות איכותיים?`,
+          title: t(req.locale, 'notify.taste.title'),
+          message: t(req.locale, 'notify.taste.message', { rating: avgRating.toFixed(1) }),
           action: 'ai_recommendations',
           params: { mood: 'quality', minRating: 4.5 }
         });
       }
     }
 
-    ok(res, { notifications, context: { hour, userId, profileExists: !!aiEngine.userBehavior.has(userId) } });
-  } catch(e) { err(res, 500, String(e)); }
-});
-
-// ---- Backend-v2 Pass-Through Handlers ----
-const BACKEND_V2_URL = process.env.BACKEND_V2_URL || '';
-
-// Forward /api/route to backend-v2 (OSRM routing)
-app.post('/api/route', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/route`, {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify(req.body || {}),
-    });
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 route error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
-
-// Forward /api/hazards to backend-v2
-app.get('/api/hazards', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const qs = new URLSearchParams(req.query).toString();
-    const r = await fetch(`${BACKEND_V2_URL}/api/hazards?${qs}`);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 hazards error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+    const place = await services.reverseGeocode({ lat: location.lat, lng: location.lng, language: req.locale }).catch(() => null);
 
-// Forward /api/places/search to backend-v2 (Google Places API)
-app.post('/api/places/search', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/places/search`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-lang': req.headers['x-lang'] || 'he',
-      },
-      body: JSON.stringify(req.body || {}),
-    });
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 places/search error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
+    ok(res, { notifications, context: { hour, userId, place, profileExists: await aiEngine.userBehavior.has(userId) } });
+  } catch(e) { fail(res, e); }
 });
 
-// Forward /api/places/:placeId to backend-v2 (Place details)
-app.get('/api/places/:placeId', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/places/${encodeURIComponent(req.params.placeId)}`, {
-      method: 'GET',
-      headers: {
-        'x-lang': req.headers['x-lang'] || 'he',
-      },
-    });
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 places/details error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
-
-// Forward /api/profile to backend-v2 (JWT auth via cookies)
-app.all('/api/profile', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/profile`, {
-      method: req.method,
-      headers: {
-        'content-type': 'application/json',
-        cookie: req.headers.cookie || '',
-      },
-      body: req.method === 'PUT' ? JSON.stringify(req.body || {}) : undefined,
-    });
-    const setCookie = r.headers.get('set-cookie');
-    if (setCookie) res.setHeader('set-cookie', setCookie);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 profile error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+// ---- Admin: client API keys (x-admin-token: ADMIN_TOKEN) ----
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) return err(res, 503, 'ADMIN_TOKEN not set');
+  if (!tokenMatches(req.get('x-admin-token'), ADMIN_TOKEN)) return err(res, 401, 'Admin token required');
+  next();
+};
 
-// Forward /api/family/signin/start to backend-v2 (Family Mode signin - step 1)
-app.post('/api/family/signin/start', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/family/signin/start`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        cookie: req.headers.cookie || '',
-      },
-      body: JSON.stringify(req.body || {}),
-    });
-    const setCookie = r.headers.get('set-cookie');
-    if (setCookie) res.setHeader('set-cookie', setCookie);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 family signin/start error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+// Issue a key; the plaintext key is only ever returned here (and by rotate)
+app.post("/admin/api-keys", requireAdmin, validateRequest([
+  body('clientId').isString().trim().isLength({ min: 1, max: 64 }).withMessage('clientId required'),
+  body('name').optional().isString().isLength({ max: 100 }),
+  body('quotas').optional().custom(validQuotas).withMessage('quotas: { search|ai|weather: { perMinute, perDay } } with positive integers')
+]), asyncHandler(async (req, res) => {
+  const { key, record } = await apiKeys.issue({ clientId: req.body.clientId, name: req.body.name, quotas: req.body.quotas });
+  logger.info(`[${req.id}] API key ${record.keyId} issued for ${record.clientId}`);
+  ok(res, { key, apiKey: record });
+}));
 
-// Forward /api/family/signin/finish to backend-v2 (Family Mode signin - step 2)
-app.post('/api/family/signin/finish', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/family/signin/finish`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        cookie: req.headers.cookie || '',
-      },
-      body: JSON.stringify(req.body || {}),
-    });
-    const setCookie = r.headers.get('set-cookie');
-    if (setCookie) res.setHeader('set-cookie', setCookie);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 family signin/finish error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+app.get("/admin/api-keys", requireAdmin, asyncHandler(async (req, res) => {
+  ok(res, { apiKeys: await apiKeys.list({ clientId: req.query.clientId }) });
+}));
 
-// Forward /api/me to backend-v2 (Get current family session)
-app.get('/api/me', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/api/me`, {
-      method: 'GET',
-      headers: {
-        cookie: req.headers.cookie || '',
-      },
-    });
-    const setCookie = r.headers.get('set-cookie');
-    if (setCookie) res.setHeader('set-cookie', setCookie);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 /api/me error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+// New key for the same client; the old one keeps working for graceSeconds (default a day)
+app.post("/admin/api-keys/:keyId/rotate", requireAdmin, validateRequest([
+  body('graceSeconds').optional().isInt({ min: 0, max: 30 * 86400 }).toInt()
+]), asyncHandler(async (req, res) => {
+  const rotated = await apiKeys.rotate(req.params.keyId, { graceSeconds: req.body.graceSeconds });
+  if (!rotated) return err(res, 404, 'Unknown, revoked or expired API key');
+  logger.info(`[${req.id}] API key ${req.params.keyId} rotated to ${rotated.record.keyId}`);
+  ok(res, { key: rotated.key, apiKey: rotated.record });
+}));
 
-// Forward /admin/healthz to backend-v2 (JSON health endpoint)
-app.get('/admin/healthz', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/admin/healthz`);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 health error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
-});
+app.delete("/admin/api-keys/:keyId", requireAdmin, asyncHandler(async (req, res) => {
+  const revoked = await apiKeys.revoke(req.params.keyId);
+  if (!revoked) return err(res, 404, 'Unknown API key');
+  logger.info(`[${req.id}] API key ${revoked.keyId} revoked`);
+  ok(res, { apiKey: revoked });
+}));
 
-// Forward /admin/health to backend-v2 (HTML dashboard)
-app.get('/admin/health', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/admin/health`);
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'text/html').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 dashboard error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
+// Estimated upstream spend in hourly buckets (default: the last 24 hours),
+// grouped by any of client,user,route,sku and optionally filtered by them
+app.get("/admin/costs", requireAdmin, validateRequest([
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('groupBy').optional().matches(/^(client|user|route|sku)(,(client|user|route|sku))*$/)
+    .withMessage('groupBy: comma-separated client, user, route, sku')
+]), (req, res) => {
+  const { from, to, groupBy, client, user, route, sku } = req.query;
+  const report = costs.report({
+    ...(from && { from: Date.parse(from) }),
+    ...(to && { to: Date.parse(to) }),
+    ...(groupBy && { groupBy: groupBy.split(',') }),
+    filter: { client, user, route, sku }
+  });
+  ok(res, { ...report, budget: costs.budgetStatus(client || 'anonymous') });
 });
 
-// Forward /planner/plan-day to backend-v2 (Day planner endpoint - Step 7B)
-app.post('/planner/plan-day', async (req, res) => {
-  if (!BACKEND_V2_URL) {
-    return res.status(503).json({ ok: false, code: 'backend_not_configured' });
-  }
-  try {
-    const r = await fetch(`${BACKEND_V2_URL}/planner/plan-day`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-lang': req.headers['x-lang'] || 'he',
-        cookie: req.headers.cookie || '',
-      },
-      body: JSON.stringify(req.body || {}),
-    });
-    const txt = await r.text();
-    res.status(r.status).set('content-type', r.headers.get('content-type') || 'application/json').send(txt);
-  } catch (error) {
-    logger.error('Backend-v2 planner/plan-day error:', error);
-    res.status(502).json({ ok: false, code: 'backend_error' });
-  }
+// ---- Backend-v2 Pass-Through Handlers ----
+// Route table lives in lib/backend-routes.js (shared with server-minimal.js)
+const BACKEND_V2_URL = process.env.BACKEND_V2_URL || '';
+mountBackendRoutes(app, {
+  baseUrl: BACKEND_V2_URL,
+  fetch: upstream.for('backendV2'),
+  onError: (req, error, route) => logger.error(`[${req.id}] Backend-v2 ${route.path} error:`, error)
 });
 
 // ✨ ENHANCED ERROR HANDLING & MONITORING
@@ -1302,7 +1563,8 @@ app.use((error, req, res, next) => {
   
   res.status(error.status || 500).json({
     ok: false,
-    error: isDev ? error.message : 'Internal server error',
+    ...(error instanceof UpstreamError && { code: error.code, upstream: error.upstream }),
+    error: isDev || error instanceof UpstreamError ? error.message : 'Internal server error',
     ...(isDev && { stack: error.stack }),
     requestId: req.id
   });
@@ -1325,33 +1587,38 @@ app.get("/", (req, res) => {
 app.get('/health', (req, res) => {
   const memUsage = process.memoryUsage();
   const uptime = process.uptime();
+  const upstreams = upstream.breakerStates();
+  const degraded = Object.values(upstreams).some(b => b.state !== 'closed');
   
   res.json({
     ok: true,
-    status: 'healthy',
+    status: degraded ? 'degraded' : 'healthy',
     uptime: Math.floor(uptime),
     memory: {
       rss: Math.round(memUsage.rss / 1024 / 1024) + 'MB',
       heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024) + 'MB',
       heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024) + 'MB'
     },
-    cache: {
-      keys: cache.keys().length,
-      stats: cache.getStats()
-    },
+    cache: cache.stats(),
+    photoCache: photoCache.stats(),
+    gazetteer: gazetteer ? { places: gazetteer.size } : null,
+    upstreams,
     timestamp: new Date().toISOString()
   });
 });
 
-// Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    ok: true,
-    cache: cache.getStats(),
-    memory: process.memoryUsage(),
-    uptime: process.uptime()
-  });
-});
+// Metrics endpoint: Prometheus text by default, the JSON summary for Accept: application/json
+app.get('/metrics', asyncHandler(async (req, res) => {
+  if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+    return res.json({
+      ok: true,
+      cache: cache.stats(),
+      memory: process.memoryUsage(),
+      uptime: process.uptime()
+    });
+  }
+  res.set('content-type', registry.contentType).send(await registry.metrics());
+}));
 
 // 404 handler (must be last route)
 app.use('*', (req, res) => {
@@ -1366,6 +1633,7 @@ app.use('*', (req, res) => {
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   cache.close();
+  store.close?.();
   process.exit(0);
 });
 
@@ -1373,6 +1641,7 @@ const port = process.env.PORT || 8080;
 app.listen(port, ()=> {
   logger.info(`🚀 RoamWise AI proxy listening on port ${port}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Cache TTL: ${cache.options.stdTTL}s`);
+  logger.info(`Cache backend: ${cache.stats().backend}`);
+  logger.info(`Storage driver: ${STORAGE_DRIVER}`);
   logger.info(`Health endpoints: GET / and GET /health`);
 });
@@ -0,0 +1,229 @@
+// RedisClient and RedisCacheStore against a local RESP stand-in (no Redis needed).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { RedisClient } from '../lib/redis.js';
+import { RedisCacheStore } from '../lib/cache-store.js';
+
+const quietLogger = { warn() {} };
+
+// Split complete RESP commands (arrays of bulk strings) off the front of buf
+function parseCommands(buf) {
+  const commands = [];
+  let at = 0;
+  for (;;) {
+    const end = buf.indexOf('\r\n', at);
+    if (end === -1) break;
+    const count = Number(buf.toString('utf8', at + 1, end));
+    let next = end + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lineEnd = buf.indexOf('\r\n', next);
+      if (lineEnd === -1) return { commands, rest: buf.subarray(at) };
+      const len = Number(buf.toString('utf8', next + 1, lineEnd));
+      if (buf.length < lineEnd + 2 + len + 2) return { commands, rest: buf.subarray(at) };
+      args.push(buf.toString('utf8', lineEnd + 2, lineEnd + 2 + len));
+      next = lineEnd + 2 + len + 2;
+    }
+    commands.push(args);
+    at = next;
+  }
+  return { commands, rest: buf.subarray(at) };
+}
+
+// RESP server whose replies come from reply(args, socket): a raw RESP string,
+// or null to never answer. Every received command is recorded in `commands`.
+async function startStub(reply, { chunked = false } = {}) {
+  const commands = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buf = Buffer.alloc(0);
+    socket.on('data', async (chunk) => {
+      const parsed = parseCommands(Buffer.concat([buf, chunk]));
+      buf = parsed.rest;
+      for (const args of parsed.commands) {
+        commands.push(args);
+        const out = reply(args, socket);
+        if (out == null || socket.destroyed) continue;
+        if (!chunked) { socket.write(out); continue; }
+        // One byte per write, so the client sees replies split across chunks
+        for (const byte of Buffer.from(out)) {
+          if (socket.destroyed) break;
+          socket.write(Buffer.from([byte]));
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    connections: () => sockets.size,
+    async close() {
+      for (const socket of sockets) socket.destroy();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const bulk = (s) => (s == null ? '$-1\r\n' : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+
+// A tiny key/value Redis: GET, SET, INCR, EXPIRE
+function kvReply() {
+  const data = new Map();
+  return ([cmd, key, value]) => {
+    switch (cmd) {
+      case 'GET': return bulk(data.get(key) ?? null);
+      case 'SET': data.set(key, value); return '+OK\r\n';
+      case 'INCR': data.set(key, String(Number(data.get(key) || 0) + 1)); return `:${data.get(key)}\r\n`;
+      case 'EXPIRE': return ':1\r\n';
+      default: return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  };
+}
+
+test('parses simple, integer, bulk, null and nested array replies', async (t) => {
+  const stub = await startStub(([cmd]) => ({
+    PING: '+PONG\r\n',
+    COUNT: ':42\r\n',
+    TEXT: bulk('héllo\r\nworld'),
+    NONE: '$-1\r\n',
+    NESTED: '*3\r\n*2\r\n$1\r\na\r\n:1\r\n$-1\r\n*0\r\n',
+    NOARRAY: '*-1\r\n'
+  })[cmd]);
+  const client = new RedisClient(stub.url, { logger: quietLogger });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  assert.equal(await client.send('PING'), 'PONG');
+  assert.equal(await client.send('COUNT'), 42);
+  assert.equal(await client.send('TEXT'), 'héllo\r\nworld');
+  assert.equal(await client.send('NONE'), null);
+  assert.deepEqual(await client.send('NESTED'), [['a', 1], null, []]);
+  assert.equal(await client.send('NOARRAY'), null);
+});
+
+test('reassembles replies split across chunks and keeps pipelined replies in order', async (t) => {
+  const stub = await startStub(([cmd, arg]) => (cmd === 'ECHO' ? bulk(arg) : '*2\r\n$3\r\nfoo\r\n:7\r\n'), { chunked: true });
+  const client = new RedisClient(stub.url, { logger: quietLogger, commandTimeoutMs: 5000 });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  await client.connect();
+  const replies = await Promise.all([
+    client.command('ECHO', 'first'),
+    client.command('PAIR'),
+    client.command('ECHO', 'ünïcode'),
+    client.command('ECHO', '')
+  ]);
+  assert.deepEqual(replies, ['first', ['foo', 7], 'ünïcode', '']);
+});
+
+test('error replies reject only their own command', async (t) => {
+  const stub = await startStub(kvReply());
+  const client = new RedisClient(stub.url, { logger: quietLogger });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  await client.connect();
+  const [set, bad, get] = await Promise.allSettled([
+    client.command('SET', 'k', 'v'),
+    client.command('NOPE'),
+    client.command('GET', 'k')
+  ]);
+  assert.equal(set.value, 'OK');
+  assert.match(bad.reason.message, /ERR unknown command 'NOPE'/);
+  assert.equal(get.value, 'v');
+});
+
+test('sends AUTH and SELECT from the URL when connecting', async (t) => {
+  const stub = await startStub(() => '+OK\r\n');
+  const client = new RedisClient(stub.url.replace('redis://', 'redis://:s3cret@') + '/2', { logger: quietLogger });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  await client.send('PING');
+  assert.deepEqual(stub.commands, [['AUTH', 's3cret'], ['SELECT', '2'], ['PING']]);
+});
+
+test('a timed-out command drops its connection so a late reply cannot misalign the next one', async (t) => {
+  let slow = null;
+  const stub = await startStub(([cmd, arg], socket) => {
+    if (cmd === 'SLOW') { slow = socket; return null; }
+    return bulk(arg);
+  });
+  const client = new RedisClient(stub.url, { logger: quietLogger, commandTimeoutMs: 100 });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  await assert.rejects(client.send('SLOW'), /SLOW timed out/);
+  // The late reply would answer the next command if the connection were reused
+  if (!slow.destroyed) slow.write(bulk('late'));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(await client.send('ECHO', 'fresh'), 'fresh');
+  assert.equal(stub.connections(), 1);
+});
+
+test('a timeout destroys the socket the command was written to, not a newer one', async (t) => {
+  const stub = await startStub(() => null);
+  const client = new RedisClient(stub.url, { logger: quietLogger, commandTimeoutMs: 50 });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  await client.connect();
+  const original = client.socket;
+  const pending = client.command('SLOW');
+  let newerDestroyed = false;
+  client.socket = { destroyed: false, writable: true, write() {}, destroy() { newerDestroyed = true; }, end() {} };
+  await assert.rejects(pending, /timed out/);
+  assert.equal(original.destroyed, true);
+  assert.equal(newerDestroyed, false);
+  client.socket = null;
+});
+
+test('reconnects on the next command after the server drops the connection', async (t) => {
+  const stub = await startStub(([cmd, arg], socket) => {
+    if (cmd === 'DROP') { socket.destroy(); return null; }
+    return bulk(arg);
+  });
+  const client = new RedisClient(stub.url, { logger: quietLogger });
+  t.after(async () => { client.close(); await stub.close(); });
+
+  assert.equal(await client.send('ECHO', 'one'), 'one');
+  await assert.rejects(client.send('DROP'), /connection closed/);
+  assert.equal(client.connected, false);
+  assert.equal(await client.send('ECHO', 'two'), 'two');
+  assert.equal(client.pending.length, 0);
+});
+
+test('command() rejects without queueing when there is no connection', async () => {
+  const client = new RedisClient('redis://127.0.0.1:1', { logger: quietLogger });
+  await assert.rejects(client.command('GET', 'k'), /not connected/);
+  assert.equal(client.pending.length, 0);
+});
+
+test('RedisCacheStore round-trips entries and counts through the stand-in', async (t) => {
+  const stub = await startStub(kvReply());
+  const cache = new RedisCacheStore(stub.url, { logger: quietLogger, prefix: 'test:' });
+  t.after(async () => { cache.close(); await stub.close(); });
+
+  assert.equal(await cache.get('missing'), null);
+  await cache.set('k', { value: [1, 2], expiresAt: 1, staleUntil: 2 }, 30);
+  assert.deepEqual(await cache.get('k'), { value: [1, 2], expiresAt: 1, staleUntil: 2 });
+  assert.equal(await cache.incr('n', 60), 1);
+  assert.equal(await cache.incr('n', 60), 2);
+  assert.deepEqual(stub.commands.filter(([cmd]) => cmd === 'EXPIRE'), [['EXPIRE', 'test:n', '60']]);
+  assert.deepEqual(
+    { hits: cache.stats().hits, misses: cache.stats().misses, errors: cache.stats().errors },
+    { hits: 1, misses: 1, errors: 0 }
+  );
+});
+
+test('RedisCacheStore degrades to misses when Redis is unreachable', async () => {
+  const stub = await startStub(() => null);
+  const url = stub.url;
+  await stub.close(); // nothing listens on this port any more
+  const cache = new RedisCacheStore(url, { logger: quietLogger });
+  assert.equal(await cache.get('k'), null);
+  assert.equal(await cache.incr('n', 60), null);
+  await cache.set('k', { value: 1 }, 30);
+  assert.equal(cache.stats().errors, 3);
+  cache.close();
+});